@@ -0,0 +1,1180 @@
+// HundredX Extension Background Service Worker
+// Owns all HundredX API traffic. Content scripts and the popup reach it via chrome.runtime messages:
+//   { type: 'hxAnswer', query }  -> /api/answer result (shared cross-tab cache)
+//   { type: 'hxCacheStats' }     -> { entries }
+//   { type: 'hxClearCache' }     -> { cleared }
+//   port 'hxAnswerStream'        -> { type: 'progress', progress: { stage, answer } } while working, then { type: 'result', result }
+//                                   (post { type: 'hxAnswer', query, priority, options } to start)
+//   { type: 'hxHealth' }         -> { ok, status, data, environment }
+//   { type: 'hxTemplates' }      -> { ok, status, data, error }
+//   { type: 'hxBrand', name }    -> { ok, status, data, error } (brand hover card details)
+// The API base URL comes from the environment profile selected in the popup (environments.js)
+//
+// Answers use the job API when available (POST /api/jobs, then poll GET /api/jobs/:id), falling back
+// to a streamed POST /api/answer. In-flight jobs are persisted in chrome.storage.local so a reloaded
+// tab or restarted worker reattaches to the same job instead of starting over.
+//
+// Successful answers are cached in chrome.storage.local (hxAnswerCache), keyed by environment,
+// normalized query, template and web search, with the TTL and size limit from the popup and
+// a CACHE_MAX_BYTES budget, evicting least recently used entries first.
+//
+// At most MAX_CONCURRENT_ANSWERS answers run at once; the rest wait in a queue ordered by the
+// caller's priority (visible panel > newest turn > history), newest first. A 429 pauses every
+// answer until its Retry-After has passed.
+//
+// Every /api/answer response is checked against the schema in spec.md and normalized; payloads
+// that can't be rendered become 'malformed' errors carrying the raw payload for the panel's debug view.
+//
+// Every request carries the API key from the popup (chrome.storage.local hxApiKey) as a bearer token.
+//
+// Each waiting caller passes an AbortSignal (a port disconnecting aborts it). A shared request is
+// only cancelled - fetch aborted, job deleted - once no caller is waiting on it.
+
+importScripts('environments.js');
+
+const ANSWER_TIMEOUT = 1200000; // 20 minute timeout (API can take 15+ minutes)
+const SHORT_TIMEOUT = 5000; // Health and templates
+const MAX_RETRIES = 2;
+const MAX_RATE_LIMIT_RETRIES = 3;
+const DEFAULT_RETRY_AFTER = 10000; // When a 429 has no usable Retry-After
+const MAX_RETRY_AFTER = 5 * 60 * 1000;
+const MAX_CONCURRENT_ANSWERS = 2;
+const KEEPALIVE_INTERVAL = 20000; // Below the 30s service worker idle timeout
+const ANSWER_STREAM_PORT = 'hxAnswerStream';
+const JOB_POLL_INTERVAL = 2000;
+const JOBS_STORAGE_KEY = 'hxJobs';
+const API_KEY_STORAGE_KEY = 'hxApiKey';
+const ANSWER_CACHE_STORAGE_KEY = 'hxAnswerCache';
+const HOUR = 60 * 60 * 1000;
+const RAW_PAYLOAD_LIMIT = 20000; // Characters of a raw payload kept for the debug view
+const CACHE_MAX_BYTES = 4 * 1024 * 1024; // Of storage.local's 10MB quota (no unlimitedStorage)
+const CACHE_TOUCH_FLUSH_DELAY = 30000; // Cache hits update lastUsed in one write per interval
+const SELECTOR_PACK_FETCHED_KEY = 'hxSelectorPackFetched'; // { url, at } of the last fetch
+const SELECTOR_PACK_REFRESH_INTERVAL = HOUR; // Tabs loaded in between use the stored pack
+
+// Ask for a streamed answer; servers without streaming reply with plain JSON
+const ANSWER_ACCEPT = 'application/x-ndjson, text/event-stream;q=0.9, application/json;q=0.8';
+
+const DEFAULT_SETTINGS = {
+  extensionEnabled: true,
+  template_id: '3_tier_consumer_friendly_locked_v3', // API default
+  enable_web_search: false,
+  cacheTtlHours: 24, // HundredX data updates monthly; 0 disables the cache
+  cacheMaxEntries: 200
+};
+
+// In-flight answers shared across tabs: Map<cacheKey, {promise, result, progress, listeners, waiting, settled, controller}>
+const inFlightAnswers = new Map();
+
+// Serializes read-modify-write of the persistent cache
+let cacheWriteQueue = Promise.resolve();
+
+// lastUsed times of cache hits not yet written: Map<cacheKey, timestamp>
+const cacheTouches = new Map();
+let cacheTouchTimer = null;
+
+// Serializes read-modify-write of persisted jobs (answers run concurrently)
+let jobsWriteQueue = Promise.resolve();
+
+// Base URLs whose API has no job endpoints (stream /api/answer instead)
+const jobsUnsupported = new Set();
+
+// Selector pack fetch shared by tabs loading at the same time
+let selectorPackRequest = null;
+
+let pendingRequests = 0;
+let keepaliveInterval = null;
+
+// Answer scheduler: running count, queued waiters and the end of the current 429 pause
+let activeAnswers = 0;
+const answerQueue = []; // [{ entry, queuedAt, resolve }]
+let rateLimitedUntil = 0;
+let rateLimitTimer = null; // Dispatches the queue when the pause ends
+
+// Get user settings from Chrome storage
+async function getSettings() {
+  try {
+    const result = await chrome.storage.sync.get(['hxSettings']);
+    return result.hxSettings || DEFAULT_SETTINGS;
+  } catch (error) {
+    console.warn('Error loading settings, using defaults:', error);
+    return DEFAULT_SETTINGS;
+  }
+}
+
+// Base URL of the selected environment profile
+async function getApiBaseUrl() {
+  const settings = await getSettings();
+  return resolveEnvironment(settings).baseUrl;
+}
+
+// Authorization header for the saved API key (kept in storage.local so it never syncs)
+async function getAuthHeaders() {
+  try {
+    const result = await chrome.storage.local.get([API_KEY_STORAGE_KEY]);
+    const apiKey = result[API_KEY_STORAGE_KEY];
+    return apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {};
+  } catch (error) {
+    console.warn('Error loading API key:', error);
+    return {};
+  }
+}
+
+// Error for a non-OK API response
+function getHttpError(response) {
+  if (response.status === 401 || response.status === 403) {
+    return new Error('AUTH_ERROR');
+  }
+  if (response.status === 429) {
+    const error = new Error('RATE_LIMITED');
+    error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+    return error;
+  }
+  return new Error(response.status >= 500 ? 'SERVER_ERROR' : `HTTP_${response.status}`);
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns ms
+function parseRetryAfter(value) {
+  if (!value) {
+    return DEFAULT_RETRY_AFTER;
+  }
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+  if (Number.isNaN(ms)) {
+    return DEFAULT_RETRY_AFTER;
+  }
+  return Math.min(Math.max(ms, 1000), MAX_RETRY_AFTER);
+}
+
+// fetch with auth and an abort timeout; options.signal (cancellation) also aborts it
+async function fetchWithTimeout(url, options = {}, timeout = SHORT_TIMEOUT) {
+  const { signal, ...fetchOptions } = options;
+  fetchOptions.headers = { ...fetchOptions.headers, ...(await getAuthHeaders()) };
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+  const onCancel = () => controller.abort();
+  signal?.addEventListener('abort', onCancel);
+
+  try {
+    throwIfCancelled(signal);
+    return await fetch(url, { ...fetchOptions, signal: controller.signal });
+  } catch (error) {
+    throwIfCancelled(signal);
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', onCancel);
+  }
+}
+
+// Cancellation is reported as Error('CANCELLED') so it isn't mistaken for a timeout
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw new Error('CANCELLED');
+  }
+}
+
+// setTimeout as a promise that ends early when cancelled
+function delay(ms, signal) {
+  return new Promise(resolve => {
+    const timeoutId = setTimeout(resolve, ms);
+    signal?.addEventListener('abort', () => {
+      clearTimeout(timeoutId);
+      resolve();
+    }, { once: true });
+  });
+}
+
+// Keep the worker alive while an API call is in flight; an idle worker is
+// terminated after 30 seconds, which would drop long-running /api/answer calls
+function beginRequest() {
+  pendingRequests++;
+  if (!keepaliveInterval) {
+    keepaliveInterval = setInterval(() => chrome.runtime.getPlatformInfo(), KEEPALIVE_INTERVAL);
+  }
+}
+
+function endRequest() {
+  pendingRequests--;
+  if (pendingRequests <= 0 && keepaliveInterval) {
+    pendingRequests = 0;
+    clearInterval(keepaliveInterval);
+    keepaliveInterval = null;
+  }
+}
+
+function getErrorMessage(errorType) {
+  const messages = {
+    'network': 'Unable to connect to HundredX insights. Please check your internet connection.',
+    'timeout': 'HundredX insights are taking longer than expected to load.',
+    'server': 'HundredX service is temporarily unavailable. Please try again in a moment.',
+    'cancelled': 'HundredX insights were cancelled.',
+    'auth': 'Sign in to HundredX to see insights.',
+    'malformed': 'HundredX returned a response the extension could not read.',
+    'rate_limited': 'HundredX is receiving too many requests. Please try again in a moment.',
+    'generic': 'Unable to load HundredX insights at this time.'
+  };
+  return messages[errorType] || messages.generic;
+}
+
+function createErrorResult(errorType, errorMessage, rawPayload = null) {
+  return {
+    answer: getErrorMessage(errorType),
+    sources: [],
+    metadata: { error: errorMessage, errorType },
+    success: false,
+    error: errorMessage,
+    _errorType: errorType,
+    _retryable: ['timeout', 'network', 'server', 'cancelled', 'auth', 'malformed', 'rate_limited'].includes(errorType),
+    ...(rawPayload !== null && { _rawPayload: rawPayload })
+  };
+}
+
+// ============================================================================
+// RESPONSE SCHEMA
+// ============================================================================
+
+const ANSWER_RESPONSE_FIELDS = ['answer', 'sources', 'metadata', 'success', 'error', 'fact_check'];
+const FACT_CHECK_VERDICTS = ['agrees', 'disagrees', 'unverified'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Pretty-printed, size-capped copy of a payload for the debug view
+function formatRawPayload(payload) {
+  const text = typeof payload === 'string' ? payload : (JSON.stringify(payload, null, 2) ?? String(payload));
+  return text.length > RAW_PAYLOAD_LIMIT ? `${text.slice(0, RAW_PAYLOAD_LIMIT)}\n… (truncated)` : text;
+}
+
+function malformedResponseError(payload, problems) {
+  const error = new Error('MALFORMED_RESPONSE');
+  error.payload = payload;
+  error.problems = problems;
+  return error;
+}
+
+// Parse a JSON body, keeping the text for the debug view if it isn't JSON
+async function readJsonPayload(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch {
+    throw malformedResponseError(text, ['response body is not JSON']);
+  }
+}
+
+// Optional fact_check block (fact-check mode): claims need the quoted sentence to link to
+function normalizeFactCheck(factCheck, problems) {
+  if (!isPlainObject(factCheck) || !Array.isArray(factCheck.claims)) {
+    problems.push('fact_check has no claims array');
+    return null;
+  }
+
+  const claims = factCheck.claims
+    .filter(claim => isPlainObject(claim) && typeof claim.quote === 'string' && claim.quote.trim())
+    .map(claim => ({
+      ...claim,
+      verdict: FACT_CHECK_VERDICTS.includes(claim.verdict) ? claim.verdict : 'unverified',
+      hundredx: typeof claim.hundredx === 'string' ? claim.hundredx : ''
+    }));
+  if (claims.length !== factCheck.claims.length) {
+    problems.push('dropped fact_check claims without a quote');
+  }
+  return { ...factCheck, claims };
+}
+
+// Check an /api/answer response against spec.md and fill in what the panel relies on.
+// Throws MALFORMED_RESPONSE when there is nothing renderable; recoverable problems are
+// listed in _schemaProblems, with the original payload in _rawPayload.
+function normalizeAnswerResponse(payload) {
+  const problems = [];
+
+  if (!isPlainObject(payload)) {
+    throw malformedResponseError(payload, ['response is not a JSON object']);
+  }
+
+  let success = payload.success;
+  if (typeof success !== 'boolean') {
+    if (success !== undefined) {
+      throw malformedResponseError(payload, [`success is ${typeof success}, expected boolean`]);
+    }
+    success = payload.error == null;
+    problems.push(`success missing (assumed ${success})`);
+  }
+
+  let answer = payload.answer;
+  if (typeof answer !== 'string' || (success && !answer.trim())) {
+    if (success) {
+      throw malformedResponseError(payload, [...problems, 'answer missing or empty']);
+    }
+    answer = '';
+    problems.push('answer missing');
+  }
+
+  let sources = payload.sources;
+  if (!Array.isArray(sources)) {
+    problems.push(sources === undefined ? 'sources missing' : 'sources is not an array');
+    sources = [];
+  }
+  sources = sources.filter(source => isPlainObject(source)).map(source => ({
+    ...source,
+    type: typeof source.type === 'string' ? source.type : 'unknown',
+    description: typeof source.description === 'string' ? source.description : ''
+  }));
+  if (Array.isArray(payload.sources) && sources.length !== payload.sources.length) {
+    problems.push('dropped sources that are not objects');
+  }
+
+  const metadata = isPlainObject(payload.metadata) ? { ...payload.metadata } : {};
+  if (!isPlainObject(payload.metadata)) {
+    problems.push('metadata missing');
+  }
+  if (typeof metadata.enriched !== 'boolean') {
+    metadata.enriched = sources.some(source => source.type === 'hundredx');
+    problems.push(`metadata.enriched missing (assumed ${metadata.enriched})`);
+  }
+  if (typeof metadata.intent !== 'string') {
+    metadata.intent = metadata.enriched ? 'commercial' : 'unknown';
+  }
+  ['criteria', 'brands'].forEach(field => {
+    if (metadata[field] !== undefined && !Array.isArray(metadata[field])) {
+      problems.push(`metadata.${field} is not an array`);
+      metadata[field] = [];
+    }
+  });
+  if (metadata.brand_scores !== undefined && !isPlainObject(metadata.brand_scores)) {
+    problems.push('metadata.brand_scores is not an object');
+    delete metadata.brand_scores;
+  }
+
+  const unknownFields = Object.keys(payload).filter(field => !ANSWER_RESPONSE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    problems.push(`ignored unknown fields: ${unknownFields.join(', ')}`);
+  }
+
+  const normalized = {
+    answer,
+    sources,
+    metadata,
+    success,
+    error: payload.error == null ? null : String(payload.error),
+    _errorType: null
+  };
+
+  if (payload.fact_check != null) {
+    const factCheck = normalizeFactCheck(payload.fact_check, problems);
+    if (factCheck) normalized.fact_check = factCheck;
+  }
+
+  if (problems.length > 0) {
+    console.warn('⚠️ Answer response normalized:', problems);
+    normalized._schemaProblems = problems;
+    normalized._rawPayload = formatRawPayload(payload);
+  }
+  return normalized;
+}
+
+// Parse one NDJSON line or SSE event into { type, ... }
+function parseStreamEvent(chunk, isSSE) {
+  let data = chunk.trim();
+  let eventName = null;
+
+  if (isSSE) {
+    const dataLines = [];
+    chunk.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      } else if (line.startsWith('event:')) {
+        eventName = line.slice(6).trim();
+      }
+    });
+    data = dataLines.join('\n');
+  }
+
+  if (!data) {
+    return null;
+  }
+
+  try {
+    const event = JSON.parse(data);
+    return { type: eventName, ...event };
+  } catch {
+    console.warn('Skipping malformed stream event:', data);
+    return null;
+  }
+}
+
+// Read a streamed /api/answer body: 'delta' events carry answer text, 'done' carries
+// the full response object, 'error' aborts. onProgress gets { answer } with the answer so far.
+async function readAnswerStream(response, onProgress, signal) {
+  const isSSE = (response.headers.get('Content-Type') || '').includes('text/event-stream');
+  const separator = isSSE ? /\r?\n\r?\n/ : /\r?\n/;
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+  signal?.addEventListener('abort', () => reader.cancel(), { once: true });
+
+  let buffer = '';
+  let answer = '';
+  let finalResponse = null;
+
+  const handleEvent = (event) => {
+    if (!event) return;
+    if (event.type === 'delta') {
+      answer += event.text || '';
+      onProgress({ answer });
+    } else if (event.type === 'done') {
+      finalResponse = event.response;
+    } else if (event.type === 'error') {
+      console.warn('Stream error event:', event.error);
+      throw new Error('SERVER_ERROR');
+    }
+  };
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += value;
+    const chunks = buffer.split(separator);
+    buffer = chunks.pop();
+    chunks.forEach(chunk => handleEvent(parseStreamEvent(chunk, isSSE)));
+  }
+  throwIfCancelled(signal);
+  handleEvent(parseStreamEvent(buffer, isSSE));
+
+  if (!finalResponse) {
+    throw new Error('STREAM_INCOMPLETE');
+  }
+  return finalResponse;
+}
+
+// 32-bit FNV-1a hash as hex
+function hashText(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+// Request options as they appear in cache and job keys. Keys are stored next to every
+// entry, so the fact-checked response text (up to 8,000 characters) goes in as a hash.
+function getOptionsKey(options) {
+  const responseText = options?.fact_check?.response_text;
+  if (typeof responseText !== 'string') {
+    return options ?? null;
+  }
+  const factCheck = { ...options.fact_check, response_hash: `${hashText(responseText)}:${responseText.length}` };
+  delete factCheck.response_text;
+  return { ...options, fact_check: factCheck };
+}
+
+// Persisted jobs are keyed by everything that affects the answer
+function getJobKey(baseUrl, requestBody) {
+  return JSON.stringify([baseUrl, requestBody.query, requestBody.template_id, requestBody.enable_web_search, getOptionsKey(requestBody.options)]);
+}
+
+async function loadJobs() {
+  const result = await chrome.storage.local.get([JOBS_STORAGE_KEY]);
+  const jobs = result[JOBS_STORAGE_KEY] || {};
+
+  // Drop jobs the API would have given up on anyway
+  const cutoff = Date.now() - ANSWER_TIMEOUT;
+  Object.keys(jobs).forEach(key => {
+    if (jobs[key].submittedAt < cutoff) delete jobs[key];
+  });
+  return jobs;
+}
+
+// Queue a read-modify-write of the persisted jobs
+function updateJobs(update) {
+  jobsWriteQueue = jobsWriteQueue.then(async () => {
+    const jobs = await loadJobs();
+    update(jobs);
+    await chrome.storage.local.set({ [JOBS_STORAGE_KEY]: jobs });
+  }).catch(error => {
+    console.warn('Error updating persisted jobs:', error);
+  });
+  return jobsWriteQueue;
+}
+
+function saveJob(key, job) {
+  return updateJobs(jobs => {
+    jobs[key] = job;
+  });
+}
+
+function forgetJob(key) {
+  return updateJobs(jobs => {
+    delete jobs[key];
+  });
+}
+
+// POST /api/jobs; returns the job, or null when the API has no job endpoints
+async function submitJob(baseUrl, requestBody, signal) {
+  const response = await fetchWithTimeout(`${baseUrl}/api/jobs`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(requestBody),
+    signal
+  });
+
+  if (response.status === 404 || response.status === 405) {
+    console.log(`ℹ️ ${baseUrl} has no job API, using /api/answer`);
+    jobsUnsupported.add(baseUrl);
+    return null;
+  }
+  if (!response.ok) {
+    throw getHttpError(response);
+  }
+
+  const data = await response.json();
+  return { jobId: data.job_id, submittedAt: Date.now() };
+}
+
+// Poll GET /api/jobs/:id until it completes; reports stage and partial answer as progress
+async function pollJob(baseUrl, job, onProgress, signal) {
+  while (true) {
+    if (Date.now() - job.submittedAt > ANSWER_TIMEOUT) {
+      throw new Error('JOB_TIMEOUT');
+    }
+
+    const response = await fetchWithTimeout(`${baseUrl}/api/jobs/${encodeURIComponent(job.jobId)}`, { signal });
+    if (response.status === 404) {
+      throw new Error('JOB_LOST');
+    }
+    if (!response.ok) {
+      throw getHttpError(response);
+    }
+
+    const status = await response.json();
+    if (status.status === 'completed') {
+      return status.result;
+    }
+    if (status.status === 'failed') {
+      console.warn('Job failed:', status.error);
+      throw new Error('JOB_FAILED');
+    }
+
+    onProgress({ stage: status.stage || status.status, answer: status.partial_answer || undefined });
+    await delay(JOB_POLL_INTERVAL, signal);
+    throwIfCancelled(signal);
+  }
+}
+
+// DELETE /api/jobs/:id so the API stops working on an answer nobody is waiting for
+async function cancelJob(baseUrl, job) {
+  try {
+    await fetchWithTimeout(`${baseUrl}/api/jobs/${encodeURIComponent(job.jobId)}`, { method: 'DELETE' });
+    console.log(`🛑 Cancelled job ${job.jobId}`);
+  } catch (error) {
+    console.warn(`Could not cancel job ${job.jobId}:`, error);
+  }
+}
+
+// Run (or reattach to) a job for this request; null when the API has no job endpoints
+async function runAnswerJob(baseUrl, requestBody, onProgress, signal, resubmitted = false) {
+  const key = getJobKey(baseUrl, requestBody);
+  await jobsWriteQueue;
+  const jobs = await loadJobs();
+  let job = jobs[key];
+
+  if (job) {
+    console.log(`🔗 Reattaching to job ${job.jobId}:`, requestBody.query);
+  } else {
+    job = await submitJob(baseUrl, requestBody, signal);
+    if (!job) return null;
+    await saveJob(key, job);
+    console.log(`📮 Submitted job ${job.jobId}:`, requestBody.query);
+  }
+
+  try {
+    const result = await pollJob(baseUrl, job, onProgress, signal);
+    await forgetJob(key);
+    return result;
+  } catch (error) {
+    // Nobody will reattach to a cancelled or timed-out job, so stop the API working on it
+    if (error.message === 'CANCELLED' || error.message === 'JOB_TIMEOUT') {
+      await forgetJob(key);
+      await cancelJob(baseUrl, job);
+      throw error;
+    }
+
+    // Keep the job on network errors/timeouts so a retry or reload can reattach;
+    // a lost (server restarted) or failed job has to be submitted again
+    if (error.message === 'JOB_LOST' || error.message === 'JOB_FAILED' || error.message === 'SERVER_ERROR') {
+      await forgetJob(key);
+    }
+    if (error.message === 'JOB_LOST' && !resubmitted) {
+      console.log(`⚠️ Job ${job.jobId} no longer exists, resubmitting`);
+      return runAnswerJob(baseUrl, requestBody, onProgress, signal, true);
+    }
+    if (error.message === 'JOB_LOST' || error.message === 'JOB_FAILED') {
+      throw new Error('SERVER_ERROR');
+    }
+    throw error;
+  }
+}
+
+// Where and what to ask for a query under the current settings. options is the request's
+// options field (spec.md): conversation context for follow-ups, the AI answer to fact-check
+function buildAnswerRequest(query, settings, options = null) {
+  // Prepare request body with settings (backward compatible)
+  const requestBody = {
+    query,
+    template_id: settings.template_id || settings.narrativeStyle || DEFAULT_SETTINGS.template_id,
+    enable_web_search: settings.enable_web_search !== undefined
+      ? settings.enable_web_search
+      : (settings.webSearchEnabled !== undefined ? settings.webSearchEnabled : DEFAULT_SETTINGS.enable_web_search)
+  };
+  if (options) {
+    requestBody.options = options;
+  }
+
+  return { baseUrl: resolveEnvironment(settings).baseUrl, requestBody };
+}
+
+// Get an answer via the job API, or a streamed POST /api/answer; with retries. A 429
+// resolves to a rate_limited error for runAnswer() to requeue.
+// Always resolves to an answer or error object.
+async function fetchAnswer(request, onProgress = () => {}, signal = null, retryCount = 0) {
+  const { baseUrl, requestBody } = request;
+  const query = requestBody.query;
+
+  try {
+    const apiUrl = `${baseUrl}/api/answer`;
+    // The slot was only handed out after any 429 pause, but a retry can land in a new one
+    await waitForRateLimit(onProgress, signal);
+
+    if (!jobsUnsupported.has(baseUrl)) {
+      const jobResult = await runAnswerJob(baseUrl, requestBody, onProgress, signal);
+      if (jobResult) {
+        return normalizeAnswerResponse(jobResult);
+      }
+    }
+
+    console.log(`🌐 API CALL: ${apiUrl}`, query, `(attempt ${retryCount + 1})`);
+    const response = await fetchWithTimeout(apiUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': ANSWER_ACCEPT
+      },
+      body: JSON.stringify({ ...requestBody, stream: true }),
+      signal
+    }, ANSWER_TIMEOUT);
+
+    console.log(`📡 API RESPONSE: Status ${response.status} from ${response.url}`);
+
+    if (!response.ok) {
+      throw response.status === 404 ? new Error('ENDPOINT_NOT_FOUND') : getHttpError(response);
+    }
+
+    const contentType = response.headers.get('Content-Type') || '';
+    const isStream = contentType.includes('application/x-ndjson') || contentType.includes('text/event-stream');
+    const result = isStream ? await readAnswerStream(response, onProgress, signal) : await readJsonPayload(response);
+    return normalizeAnswerResponse(result);
+
+  } catch (error) {
+    if (error.message === 'CANCELLED' || signal?.aborted) {
+      console.log('🛑 API call cancelled:', query);
+      return createErrorResult('cancelled', 'Request cancelled');
+    }
+
+    if (error.message === 'RATE_LIMITED') {
+      rateLimitedUntil = Math.max(rateLimitedUntil, Date.now() + error.retryAfter);
+      return createErrorResult('rate_limited', 'Rate limit exceeded');
+    }
+
+    if (error.message === 'MALFORMED_RESPONSE') {
+      console.warn('❌ Malformed answer response:', error.problems, error.payload);
+      return createErrorResult('malformed', error.problems.join('; '), formatRawPayload(error.payload));
+    }
+
+    console.warn('API call failed:', error);
+
+    // Determine error type for better user messaging
+    let errorType = 'generic';
+    let errorMessage = error.message;
+
+    if (error.name === 'AbortError' || error.message === 'JOB_TIMEOUT') {
+      errorType = 'timeout';
+      errorMessage = 'Request timed out';
+    } else if (error.message === 'AUTH_ERROR') {
+      errorType = 'auth';
+      errorMessage = 'API key missing or rejected';
+    } else if (error.message === 'SERVER_ERROR') {
+      errorType = 'server';
+      errorMessage = 'Server error occurred';
+    } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
+      errorType = 'network';
+      errorMessage = 'Network connection failed';
+    }
+
+    // Retry logic for certain error types; a job that used up the whole ANSWER_TIMEOUT
+    // would only be submitted again for another full wait
+    const canRetry = (errorType === 'timeout' || errorType === 'network') && error.message !== 'JOB_TIMEOUT';
+    if (canRetry && retryCount < MAX_RETRIES) {
+      console.log(`Retrying API call (${retryCount + 1}/${MAX_RETRIES})`);
+      await delay(1000 * (retryCount + 1), signal); // Exponential backoff
+      return fetchAnswer(request, onProgress, signal, retryCount + 1);
+    }
+
+    return createErrorResult(errorType, errorMessage);
+  }
+}
+
+// ============================================================================
+// ANSWER SCHEDULER
+// ============================================================================
+
+// Sit out a 429 pause (set by any answer) before talking to the API
+async function waitForRateLimit(onProgress, signal) {
+  const wait = rateLimitedUntil - Date.now();
+  if (wait > 0) {
+    onProgress({ stage: 'rate_limited' });
+    await delay(wait, signal);
+    throwIfCancelled(signal);
+  }
+}
+
+// Resolves once the entry may run; rejects with CANCELLED if it is cancelled while queued.
+// No slot is handed out during a 429 pause, so the queue's priorities still apply after it.
+function acquireAnswerSlot(entry, onProgress) {
+  const paused = rateLimitedUntil > Date.now();
+  if (activeAnswers < MAX_CONCURRENT_ANSWERS && !paused) {
+    activeAnswers++;
+    return Promise.resolve();
+  }
+
+  onProgress({ stage: paused ? 'rate_limited' : 'queued' });
+  return new Promise((resolve, reject) => {
+    // A request requeued after a 429 keeps its place among the newer ones
+    const waiter = { entry, queuedAt: entry.createdAt, resolve };
+    answerQueue.push(waiter);
+    console.log(`🚦 Queued (${answerQueue.length} waiting, priority ${entry.priority})`);
+
+    entry.controller.signal.addEventListener('abort', () => {
+      const index = answerQueue.indexOf(waiter);
+      if (index !== -1) {
+        answerQueue.splice(index, 1);
+        reject(new Error('CANCELLED'));
+      }
+    }, { once: true });
+
+    dispatchAnswerQueue();
+  });
+}
+
+function releaseAnswerSlot() {
+  activeAnswers--;
+  dispatchAnswerQueue();
+}
+
+// Hand free slots to the highest-priority waiters (newest first within a priority),
+// once any 429 pause is over
+function dispatchAnswerQueue() {
+  const wait = rateLimitedUntil - Date.now();
+  if (wait > 0) {
+    if (!rateLimitTimer && answerQueue.length > 0) {
+      rateLimitTimer = setTimeout(() => {
+        rateLimitTimer = null;
+        dispatchAnswerQueue();
+      }, wait);
+    }
+    return;
+  }
+
+  answerQueue.sort((a, b) => b.entry.priority - a.entry.priority || b.queuedAt - a.queuedAt);
+  while (activeAnswers < MAX_CONCURRENT_ANSWERS && answerQueue.length > 0) {
+    const next = answerQueue.shift();
+    activeAnswers++;
+    next.resolve();
+  }
+}
+
+// Run a request in a slot. A 429 gives the slot back and queues the request again, so when
+// the pause ends it competes on priority with everything queued meanwhile.
+async function runAnswer(entry, request, onProgress) {
+  for (let rateLimitCount = 0; ; rateLimitCount++) {
+    await acquireAnswerSlot(entry, onProgress);
+    let result;
+    try {
+      result = await fetchAnswer(request, onProgress, entry.controller.signal);
+    } finally {
+      releaseAnswerSlot();
+    }
+
+    if (result._errorType !== 'rate_limited' || rateLimitCount >= MAX_RATE_LIMIT_RETRIES) {
+      return result;
+    }
+    console.log(`⏳ Rate limited, requeued until ${new Date(rateLimitedUntil).toLocaleTimeString()} (${rateLimitCount + 1}/${MAX_RATE_LIMIT_RETRIES})`);
+  }
+}
+
+// ============================================================================
+// ANSWER CACHE
+// ============================================================================
+
+// Same question, different casing/spacing/trailing punctuation -> same cache entry
+function normalizeQuery(query) {
+  return query.toLowerCase().replace(/\s+/g, ' ').trim().replace(/[?!.\s]+$/, '');
+}
+
+// A follow-up means something else in another conversation, so the options are part of the key
+function getCacheKey(request) {
+  const { baseUrl, requestBody } = request;
+  return JSON.stringify([
+    baseUrl,
+    normalizeQuery(requestBody.query),
+    requestBody.template_id,
+    Boolean(requestBody.enable_web_search),
+    getOptionsKey(requestBody.options)
+  ]);
+}
+
+function getCacheLimits(settings) {
+  const ttlHours = Number(settings.cacheTtlHours ?? DEFAULT_SETTINGS.cacheTtlHours);
+  const maxEntries = Number(settings.cacheMaxEntries ?? DEFAULT_SETTINGS.cacheMaxEntries);
+  return { ttl: Math.max(0, ttlHours) * HOUR, maxEntries: Math.max(1, maxEntries), maxBytes: CACHE_MAX_BYTES };
+}
+
+async function loadAnswerCache() {
+  const result = await chrome.storage.local.get([ANSWER_CACHE_STORAGE_KEY]);
+  return result[ANSWER_CACHE_STORAGE_KEY] || {};
+}
+
+// Drop the least recently used entries until the cache fits in maxBytes (JSON size, as stored)
+function evictAnswerCacheBytes(cache, maxBytes) {
+  const sizes = new Map(Object.keys(cache).map(key => [key, key.length + JSON.stringify(cache[key]).length]));
+  let total = Array.from(sizes.values()).reduce((sum, size) => sum + size, 0);
+
+  const oldestFirst = Object.keys(cache).sort((a, b) => cache[a].lastUsed - cache[b].lastUsed);
+  for (const key of oldestFirst) {
+    if (total <= maxBytes) break;
+    total -= sizes.get(key);
+    delete cache[key];
+  }
+  return cache;
+}
+
+// Drop expired entries, then the least recently used ones beyond maxEntries or maxBytes
+function pruneAnswerCache(cache, { ttl, maxEntries, maxBytes }) {
+  const now = Date.now();
+  Object.keys(cache).forEach(key => {
+    if (now - cache[key].storedAt > ttl) delete cache[key];
+  });
+
+  const keys = Object.keys(cache);
+  if (keys.length > maxEntries) {
+    keys.sort((a, b) => cache[a].lastUsed - cache[b].lastUsed)
+      .slice(0, keys.length - maxEntries)
+      .forEach(key => delete cache[key]);
+  }
+  return evictAnswerCacheBytes(cache, maxBytes);
+}
+
+// Apply the pending cache hit times to a loaded cache
+function applyCacheTouches(cache) {
+  cacheTouches.forEach((lastUsed, key) => {
+    if (cache[key]) cache[key].lastUsed = Math.max(cache[key].lastUsed, lastUsed);
+  });
+  cacheTouches.clear();
+  return cache;
+}
+
+// Queue a read-modify-write of the persistent cache. If storage.local is over quota
+// anyway (other data grew), halve the cache and try once more rather than stop caching.
+function updateAnswerCache(update) {
+  cacheWriteQueue = cacheWriteQueue.then(async () => {
+    const cache = update(applyCacheTouches(await loadAnswerCache()));
+    try {
+      await chrome.storage.local.set({ [ANSWER_CACHE_STORAGE_KEY]: cache });
+    } catch (error) {
+      console.warn('⚠️ Answer cache write failed, evicting and retrying:', error);
+      await chrome.storage.local.set({ [ANSWER_CACHE_STORAGE_KEY]: evictAnswerCacheBytes(cache, CACHE_MAX_BYTES / 2) });
+    }
+  }).catch(error => {
+    console.warn('Error updating answer cache:', error);
+  });
+  return cacheWriteQueue;
+}
+
+// Remember a cache hit; lastUsed is written with the next cache write or after a short delay
+function touchCachedAnswer(key) {
+  cacheTouches.set(key, Date.now());
+  if (!cacheTouchTimer) {
+    cacheTouchTimer = setTimeout(() => {
+      cacheTouchTimer = null;
+      if (cacheTouches.size > 0) updateAnswerCache(cache => cache);
+    }, CACHE_TOUCH_FLUSH_DELAY);
+  }
+}
+
+async function getCachedAnswer(key, limits) {
+  if (limits.ttl === 0) return null;
+
+  const entry = (await loadAnswerCache())[key];
+  if (!entry || Date.now() - entry.storedAt > limits.ttl) {
+    return null;
+  }
+
+  touchCachedAnswer(key);
+  return entry.result;
+}
+
+function storeCachedAnswer(key, result, limits) {
+  if (limits.ttl === 0) return;
+
+  const now = Date.now();
+  updateAnswerCache(cache => {
+    cache[key] = { result, storedAt: now, lastUsed: now };
+    return pruneAnswerCache(cache, limits);
+  });
+}
+
+async function getCacheStats() {
+  const limits = getCacheLimits(await getSettings());
+  await cacheWriteQueue;
+  const cache = pruneAnswerCache(await loadAnswerCache(), limits);
+  return { entries: Object.keys(cache).length };
+}
+
+async function clearAnswerCache() {
+  await cacheWriteQueue;
+  cacheTouches.clear();
+  const cleared = Object.keys(await loadAnswerCache()).length;
+  await chrome.storage.local.remove(ANSWER_CACHE_STORAGE_KEY);
+  console.log(`🧹 Cleared ${cleared} cached answers`);
+  return { cleared };
+}
+
+// Answer a query from the persistent cache, or join/start a shared call.
+// onProgress (optional) receives { stage, answer } so far, including progress made
+// before this caller joined. Aborting signal stops waiting; the shared request is
+// cancelled once nobody is waiting on it. Higher priority calls leave the queue first.
+async function getAnswer(query, onProgress = null, signal = null, priority = 0, options = null) {
+  const settings = await getSettings();
+  const request = buildAnswerRequest(query, settings, options);
+  const key = getCacheKey(request);
+  const limits = getCacheLimits(settings);
+
+  let entry = inFlightAnswers.get(key);
+  if (entry) {
+    console.log('🔗 Joining in-flight request:', query);
+  } else {
+    const cached = await getCachedAnswer(key, limits);
+    if (cached) {
+      console.log('🎯 Cache hit:', query);
+      return cached;
+    }
+    entry = inFlightAnswers.get(key) || startAnswer(key, request, limits, priority);
+  }
+
+  entry.priority = Math.max(entry.priority, priority);
+  entry.waiting++;
+  if (onProgress) {
+    if (entry.progress) onProgress(entry.progress);
+    entry.listeners.add(onProgress);
+  }
+
+  const cancelled = new Promise(resolve => {
+    signal?.addEventListener('abort', () => {
+      if (entry.settled) return;
+      entry.listeners.delete(onProgress);
+      entry.waiting--;
+      if (entry.waiting === 0) {
+        entry.controller.abort();
+        if (inFlightAnswers.get(key) === entry) {
+          inFlightAnswers.delete(key);
+        }
+      }
+      resolve(createErrorResult('cancelled', 'Request cancelled'));
+    }, { once: true });
+  });
+
+  return Promise.race([entry.promise, cancelled]);
+}
+
+// Start a shared request once the scheduler has a slot, and track it until it settles
+function startAnswer(key, request, limits, priority) {
+  beginRequest();
+  const entry = {
+    promise: null,
+    progress: null,
+    listeners: new Set(),
+    waiting: 0,
+    settled: false,
+    priority,
+    createdAt: Date.now(),
+    controller: new AbortController()
+  };
+
+  const onProgress = (progress) => {
+    entry.progress = { ...entry.progress, ...progress };
+    entry.listeners.forEach(listener => listener(entry.progress));
+  };
+
+  // runAnswer only rejects when the entry is cancelled while queued
+  entry.promise = runAnswer(entry, request, onProgress).catch(
+    () => createErrorResult('cancelled', 'Request cancelled')
+  ).then(result => {
+    entry.settled = true;
+    entry.listeners.clear();
+    if (inFlightAnswers.get(key) === entry) {
+      inFlightAnswers.delete(key);
+    }
+
+    // Only keep successes; errors should be retried on the next request
+    if (result.success && !result._errorType) {
+      storeCachedAnswer(key, result, limits);
+    }
+    return result;
+  }).finally(endRequest);
+
+  inFlightAnswers.set(key, entry);
+  return entry;
+}
+
+// GET /api/health (also reports which environment was checked)
+async function getHealth() {
+  const environment = resolveEnvironment(await getSettings());
+  try {
+    const response = await fetchWithTimeout(`${environment.baseUrl}/api/health`);
+    const data = response.ok ? await response.json() : null;
+    return { ok: response.ok, status: response.status, data, environment: environment.name };
+  } catch (error) {
+    return { ok: false, status: 0, data: null, error: error.message, environment: environment.name };
+  }
+}
+
+// GET /api/templates
+async function getTemplates() {
+  try {
+    const response = await fetchWithTimeout(`${await getApiBaseUrl()}/api/templates`);
+    if (!response.ok) {
+      return { ok: false, status: response.status, data: null, error: `HTTP ${response.status}: ${response.statusText}` };
+    }
+    return { ok: true, status: response.status, data: await response.json() };
+  } catch (error) {
+    return { ok: false, status: 0, data: null, error: error.message };
+  }
+}
+
+// The selector pack at settings.selectorPackUrl, fetched here rather than in the page so the
+// pack host needs no CORS and http:// works. pack is null when there's no URL or the last
+// fetch is recent (content scripts keep the validated pack in storage.local).
+async function getSelectorPack() {
+  const url = (await getSettings()).selectorPackUrl;
+  if (!url) {
+    return { ok: true, pack: null };
+  }
+
+  const lastFetch = (await chrome.storage.local.get([SELECTOR_PACK_FETCHED_KEY]))[SELECTOR_PACK_FETCHED_KEY];
+  if (lastFetch?.url === url && Date.now() - lastFetch.at < SELECTOR_PACK_REFRESH_INTERVAL) {
+    return { ok: true, pack: null };
+  }
+
+  if (!selectorPackRequest) {
+    selectorPackRequest = fetchSelectorPack(url).finally(() => {
+      selectorPackRequest = null;
+    });
+  }
+  return selectorPackRequest;
+}
+
+// No auth headers: the API key is only for the HundredX API
+async function fetchSelectorPack(url) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), SHORT_TIMEOUT);
+  try {
+    const response = await fetch(url, { signal: controller.signal, cache: 'no-cache' });
+    if (!response.ok) {
+      return { ok: false, pack: null, error: `HTTP ${response.status}: ${response.statusText}` };
+    }
+    const pack = await response.json();
+    await chrome.storage.local.set({ [SELECTOR_PACK_FETCHED_KEY]: { url, at: Date.now() } });
+    console.log(`📦 Fetched selector pack ${pack?.version} from ${url}`);
+    return { ok: true, pack };
+  } catch (error) {
+    return { ok: false, pack: null, error: error.message };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// GET /api/brands/{name}
+async function getBrand(name) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { ok: false, status: 0, data: null, error: 'Missing brand name' };
+  }
+
+  try {
+    const response = await fetchWithTimeout(`${await getApiBaseUrl()}/api/brands/${encodeURIComponent(name.trim())}`);
+    if (!response.ok) {
+      return { ok: false, status: response.status, data: null, error: `HTTP ${response.status}: ${response.statusText}` };
+    }
+    return { ok: true, status: response.status, data: await response.json() };
+  } catch (error) {
+    return { ok: false, status: 0, data: null, error: error.message };
+  }
+}
+
+// /api/answer options from a content script message, or null
+function getMessageOptions(message) {
+  return isPlainObject(message.options) ? message.options : null;
+}
+
+const MESSAGE_HANDLERS = {
+  hxAnswer: (message) => getAnswer(message.query, null, null, 0, getMessageOptions(message)),
+  hxHealth: () => getHealth(),
+  hxTemplates: () => getTemplates(),
+  hxBrand: (message) => getBrand(message.name),
+  hxSelectorPack: () => getSelectorPack(),
+  hxCacheStats: () => getCacheStats(),
+  hxClearCache: () => clearAnswerCache()
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  const handler = MESSAGE_HANDLERS[message?.type];
+  if (!handler) {
+    return false;
+  }
+
+  // A rejected handler still answers, so the caller gets an error instead of a closed port
+  Promise.resolve()
+    .then(() => handler(message))
+    .then(sendResponse)
+    .catch(error => {
+      console.warn(`❌ ${message.type} handler failed:`, error);
+      sendResponse({ ok: false, error: error.message });
+    });
+  return true; // Keep the channel open for the async response
+});
+
+// Streaming answers: one port per request, closed by the content script once the result arrives
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== ANSWER_STREAM_PORT) return;
+
+  // The content script disconnects the port to cancel (panel cancelled or removed)
+  let connected = true;
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    controller.abort();
+  });
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.type !== 'hxAnswer') return;
+
+    const result = await getAnswer(message.query, (progress) => {
+      if (connected) port.postMessage({ type: 'progress', progress });
+    }, controller.signal, Number(message.priority) || 0, getMessageOptions(message));
+    if (connected) {
+      port.postMessage({ type: 'result', result });
+    }
+  });
+});
@@ -1,14 +1,13 @@
 /**
  * HundredX AI Response Enhancement
- * - Detects AI assistant responses (Claude, Gemini, Perplexity, Meta.ai) and injects HundredX-powered insights
+ * - Detects AI assistant responses (Claude, ChatGPT, Copilot, Gemini, Perplexity, Meta.ai) and injects HundredX-powered insights
  * - Creates side-by-side experience with matching styling
  * - Uses real HundredX API for commercial query enhancement
  * - Vendor-agnostic architecture using Adapter Pattern
  */
 (() => {
-  //const API_BASE_URL = 'http://localhost:3000'; // Mock API server
-  const API_BASE_URL = 'https://pulse.ngrok.pizza'; // Production API (commented out for testing)
   const LOGO_URL = chrome.runtime.getURL("HundredX+Logo+-+Blue+Registered-640w.webp");
+  const SHADOW_STYLESHEET_URL = chrome.runtime.getURL('panel.css');
 
   // ============================================================================
   // VENDOR CONFIGURATIONS
@@ -18,6 +17,7 @@
     claude: {
       name: 'Claude',
       hostnames: ['claude.ai'],
+      conversationIdPattern: '/chat/([\\w-]+)',
 
       selectors: {
         responses: {
@@ -48,13 +48,131 @@
           '[data-testid="send-button"]'
         ],
         userQueries: [
+          '[data-testid="user-message"]',
           '.whitespace-pre-wrap.break-words'
+        ],
+        stopButtons: [
+          'button[aria-label="Stop response"]'
+        ],
+        streaming: [
+          '[data-is-streaming="true"]'
+        ],
+        regenerateTriggers: [
+          'button[aria-label="Retry"]',
+          '[data-testid="action-bar-retry"]',
+          'button[aria-label="Edit"]'
+        ]
+      },
+
+      timing: {
+        processingDelay: 100,
+        stableFrames: 30,
+        maxCompletionWait: 180000,
+        minResponseLength: 200
+      }
+    },
+
+    chatgpt: {
+      name: 'ChatGPT',
+      hostnames: ['chatgpt.com', 'chat.openai.com'],
+      conversationIdPattern: '/c/([\\w-]+)',
+
+      selectors: {
+        responses: {
+          primary: 'div[data-message-author-role="assistant"]',
+          fallbacks: [
+            'article[data-testid^="conversation-turn-"] .markdown',
+            '.markdown.prose'
+          ]
+        },
+        inputs: [
+          '#prompt-textarea',
+          'div[contenteditable="true"].ProseMirror',
+          'textarea[name="prompt-textarea"]',
+          'textarea[data-id="root"]',
+          'div[contenteditable="true"]'
+        ],
+        buttons: [
+          'button[data-testid="send-button"]',
+          '#composer-submit-button',
+          'button[aria-label*="Send"]'
+        ],
+        userQueries: [
+          'div[data-message-author-role="user"]'
+        ],
+        // One article per message; getConversationTurns() pairs them up
+        turns: [
+          'article[data-testid^="conversation-turn-"]'
+        ],
+        stopButtons: [
+          'button[data-testid="stop-button"]',
+          'button[aria-label="Stop streaming"]'
+        ],
+        streaming: [
+          '.result-streaming'
+        ],
+        regenerateTriggers: [
+          '[data-testid="regenerate-turn-action-button"]',
+          'button[aria-label="Regenerate"]',
+          'button[aria-label="Try again"]',
+          'button[aria-label="Edit message"]'
         ]
       },
 
       timing: {
         processingDelay: 100,
-        debounceDelay: 1000,
+        stableFrames: 45,      // Streams token-by-token with short pauses
+        maxCompletionWait: 180000,
+        minResponseLength: 200
+      }
+    },
+
+    copilot: {
+      name: 'Copilot',
+      hostnames: ['copilot.microsoft.com'],
+      conversationIdPattern: '/chats/([\\w-]+)',
+
+      selectors: {
+        responses: {
+          primary: '[data-content="ai-message"]',
+          fallbacks: [
+            '[data-testid="ai-message"]',
+            '[data-content="ai-message"] .prose'
+          ]
+        },
+        inputs: [
+          'textarea#userInput',
+          'textarea[placeholder*="Message Copilot"]',
+          'textarea[data-testid="composer-input"]',
+          'textarea'
+        ],
+        buttons: [
+          'button[data-testid="submit-button"]',
+          'button[aria-label="Submit message"]',
+          'button[aria-label*="Submit"]'
+        ],
+        userQueries: [
+          '[data-content="user-message"]',
+          '[data-testid="user-message"]'
+        ],
+        stopButtons: [
+          'button[data-testid="stop-button"]',
+          'button[aria-label="Stop responding"]'
+        ],
+        streaming: [
+          '[aria-busy="true"]'
+        ],
+        regenerateTriggers: [
+          'button[aria-label*="Regenerate"]',
+          'button[data-testid="regenerate-button"]',
+          'button[aria-label*="Edit"]'
+        ]
+      },
+
+      timing: {
+        processingDelay: 150,
+        stableFrames: 60,      // Streams in bursts, be conservative
+        maxCompletionWait: 180000,
         minResponseLength: 200
       }
     },
@@ -62,6 +180,7 @@
     gemini: {
       name: 'Gemini',
       hostnames: ['gemini.google.com'],
+      conversationIdPattern: '/app/([\\w-]+)',
 
       selectors: {
         responses: {
@@ -88,12 +207,24 @@
           'user-query',
           '.user-query-bubble-with-background',
           'user-query-content'
+        ],
+        stopButtons: [
+          'button[aria-label="Stop response"]'
+        ],
+        streaming: [
+          '[aria-busy="true"]'
+        ],
+        regenerateTriggers: [
+          'button[aria-label="Redo"]',
+          'button[aria-label*="Regenerate"]',
+          'button[aria-label="Edit text"]'
         ]
       },
 
       timing: {
         processingDelay: 150,  // Angular needs slightly more time
-        debounceDelay: 1500,   // More conservative for Angular reactivity
+        stableFrames: 60,      // More conservative for Angular reactivity
+        maxCompletionWait: 180000,
         minResponseLength: 200
       }
     },
@@ -101,6 +232,7 @@
     perplexity: {
       name: 'Perplexity',
       hostnames: ['perplexity.ai'],
+      conversationIdPattern: '/search/([\\w.-]+)',
 
       selectors: {
         responses: {
@@ -124,13 +256,24 @@
           'button[type="submit"]'
         ],
         userQueries: [
+          '[class*="group/query"]',
           '[data-testid^="thread-title-"]'
+        ],
+        stopButtons: [
+          'button[data-testid="stop-generating-response-button"]',
+          'button[aria-label="Stop"]'
+        ],
+        streaming: [],
+        regenerateTriggers: [
+          'button[aria-label="Rewrite"]',
+          'button[aria-label*="Edit"]'
         ]
       },
 
       timing: {
         processingDelay: 100,
-        debounceDelay: 1000,
+        stableFrames: 45,      // Sources and answer render in separate passes
+        maxCompletionWait: 180000,
         minResponseLength: 200
       }
     },
@@ -138,6 +281,7 @@
     meta: {
       name: 'Meta',
       hostnames: ['meta.ai'],
+      conversationIdPattern: '/prompt/([\\w-]+)',
 
       selectors: {
         responses: {
@@ -159,29 +303,223 @@
         userQueries: [
           'span.x1lliihq',
           'span[class*="x1lliihq"]'
+        ],
+        stopButtons: [
+          'div[aria-label="Stop"]',
+          'button[aria-label="Stop"]'
+        ],
+        streaming: [],
+        regenerateTriggers: [
+          'div[aria-label="Regenerate"]',
+          'button[aria-label*="Regenerate"]'
         ]
       },
 
       timing: {
         processingDelay: 150,  // React needs slightly more time
-        debounceDelay: 1500,   // More conservative for React reactivity
+        stableFrames: 60,      // More conservative for React reactivity
+        maxCompletionWait: 180000,
         minResponseLength: 200  // Lowered to catch shorter but valid responses
       }
     }
   };
 
+  // ============================================================================
+  // SELECTOR PACKS (remote selector overrides)
+  // ============================================================================
+
+  // A selector pack is a versioned JSON document that overrides the selectors
+  // and timing of one or more vendors without shipping a new build:
+  // { "version": "2025.10.1", "vendors": { "claude": { "selectors": {...}, "timing": {...} } } }
+  const SELECTOR_PACK_STORAGE_KEY = 'hxSelectorPack';
+  const SELECTOR_PACK_REJECTED_KEY = 'hxSelectorPackRejected';
+  const SELECTOR_PACK_VERIFY_DELAY = 10000; // Give the SPA time to render before checking matches
+
+  // Check that a selector compiles without touching the live document
+  function isValidSelector(selector) {
+    if (typeof selector !== 'string' || selector.trim().length === 0) return false;
+    try {
+      document.createDocumentFragment().querySelector(selector);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Validate a selector pack document
+   * Returns a list of problems - an empty list means the pack is usable
+   */
+  function validateSelectorPack(pack) {
+    const errors = [];
+
+    if (!pack || typeof pack !== 'object') {
+      return ['Pack must be a JSON object'];
+    }
+    if (typeof pack.version !== 'string' || pack.version.length === 0) {
+      errors.push('Pack is missing a "version" string');
+    }
+    if (!pack.vendors || typeof pack.vendors !== 'object') {
+      errors.push('Pack is missing a "vendors" object');
+      return errors;
+    }
+
+    const checkList = (list, path) => {
+      if (!Array.isArray(list)) {
+        errors.push(`${path} must be an array`);
+        return;
+      }
+      list.forEach((selector, i) => {
+        if (!isValidSelector(selector)) errors.push(`${path}[${i}] is not a valid selector`);
+      });
+    };
+
+    for (const [vendorKey, override] of Object.entries(pack.vendors)) {
+      if (!VENDOR_CONFIGS[vendorKey]) {
+        errors.push(`Unknown vendor "${vendorKey}"`);
+        continue;
+      }
+
+      if (!isPlainObject(override)) {
+        errors.push(`${vendorKey} must be an object`);
+        continue;
+      }
+      if (override.selectors !== undefined && !isPlainObject(override.selectors)) {
+        errors.push(`${vendorKey}.selectors must be an object`);
+        continue;
+      }
+      if (override.timing !== undefined && !isPlainObject(override.timing)) {
+        errors.push(`${vendorKey}.timing must be an object`);
+        continue;
+      }
+
+      const selectors = override.selectors || {};
+      if (selectors.responses !== undefined && !isPlainObject(selectors.responses)) {
+        errors.push(`${vendorKey}.selectors.responses must be an object`);
+      } else if (selectors.responses) {
+        const { primary, fallbacks } = selectors.responses;
+        if (primary !== undefined && !isValidSelector(primary)) {
+          errors.push(`${vendorKey}.selectors.responses.primary is not a valid selector`);
+        }
+        if (fallbacks !== undefined) checkList(fallbacks, `${vendorKey}.selectors.responses.fallbacks`);
+      }
+      ['inputs', 'buttons', 'userQueries', 'turns', 'stopButtons', 'streaming', 'regenerateTriggers'].forEach(field => {
+        if (selectors[field] !== undefined) checkList(selectors[field], `${vendorKey}.selectors.${field}`);
+      });
+
+      for (const [field, value] of Object.entries(override.timing || {})) {
+        if (typeof value !== 'number' || value < 0) {
+          errors.push(`${vendorKey}.timing.${field} must be a non-negative number`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Merge a selector pack over the built-in vendor configs
+   * Arrays in the pack replace the built-in arrays; hostnames are never overridden
+   */
+  function mergeSelectorPack(baseConfigs, pack) {
+    const merged = {};
+
+    for (const [vendorKey, base] of Object.entries(baseConfigs)) {
+      const override = pack?.vendors?.[vendorKey];
+      if (!override) {
+        merged[vendorKey] = base;
+        continue;
+      }
+
+      const selectors = override.selectors || {};
+      merged[vendorKey] = {
+        ...base,
+        selectors: {
+          ...base.selectors,
+          ...selectors,
+          responses: { ...base.selectors.responses, ...(selectors.responses || {}) }
+        },
+        timing: { ...base.timing, ...(override.timing || {}) },
+        packVersion: pack.version
+      };
+    }
+
+    return merged;
+  }
+
+  // Fetch the pack from the configured URL, falling back to the stored copy
+  async function loadSelectorPack() {
+    const settings = await chrome.storage.sync.get(['hxSettings']).catch(() => ({}));
+    const packUrl = settings.hxSettings?.selectorPackUrl;
+    const stored = await chrome.storage.local.get([SELECTOR_PACK_STORAGE_KEY, SELECTOR_PACK_REJECTED_KEY]);
+    const rejectedVersion = stored[SELECTOR_PACK_REJECTED_KEY] || null;
+    let pack = stored[SELECTOR_PACK_STORAGE_KEY] || null;
+
+    // The background fetches it (no CORS or mixed content from the page), at most hourly
+    if (packUrl) {
+      try {
+        const response = await chrome.runtime.sendMessage({ type: 'hxSelectorPack' });
+        const remotePack = response?.pack;
+        if (!response?.ok) {
+          debugLog('⚠️ Could not fetch selector pack, using stored copy:', response?.error);
+        } else if (remotePack) {
+          const errors = validateSelectorPack(remotePack);
+          if (errors.length > 0) {
+            debugLog('❌ Remote selector pack failed validation:', errors);
+          } else if (remotePack.version !== pack?.version) {
+            debugLog(`📦 Storing selector pack ${remotePack.version} from ${packUrl}`);
+            await chrome.storage.local.set({ [SELECTOR_PACK_STORAGE_KEY]: remotePack });
+            pack = remotePack;
+          }
+        }
+      } catch (error) {
+        debugLog('⚠️ Could not fetch selector pack, using stored copy:', error);
+      }
+    }
+
+    if (!pack) return null;
+
+    if (pack.version === rejectedVersion) {
+      debugLog(`⏭️ Selector pack ${pack.version} was rolled back previously, ignoring`);
+      return null;
+    }
+
+    const errors = validateSelectorPack(pack);
+    if (errors.length > 0) {
+      debugLog('❌ Stored selector pack failed validation:', errors);
+      return null;
+    }
+
+    return pack;
+  }
+
+  // Count how many elements on the page match any of a config's selectors
+  function countSelectorMatches(config) {
+    const { responses, inputs, buttons, userQueries } = config.selectors;
+    const selectors = [responses.primary, ...responses.fallbacks, ...inputs, ...buttons, ...userQueries];
+    return selectors.reduce((count, selector) => count + document.querySelectorAll(selector).length, 0);
+  }
+
   // ============================================================================
   // VENDOR ADAPTER CLASSES
   // ============================================================================
 
+  // timing.stableFrames is counted in 60fps frames, so packs written against it keep working
+  const FRAME_DURATION = 1000 / 60;
+
   /**
    * Base class for vendor-specific adapters
    * Provides common functionality and defines interface for vendor-specific implementations
    */
   class VendorAdapter {
-    constructor(config) {
+    constructor(config, key) {
       this.config = config;
       this.name = config.name;
+      this.key = key;
     }
 
     /**
@@ -269,10 +607,10 @@
      */
     validateResponse(element) {
       // Don't process if element is inside or contains our panel
-      if (element.closest('.hx-response-panel')) {
+      if (element.closest('.hx-panel-host')) {
         return false;
       }
-      if (element.querySelector('.hx-response-panel')) {
+      if (element.querySelector('.hx-panel-host')) {
         return false;
       }
 
@@ -285,14 +623,119 @@
     }
 
     /**
-     * Extract user query from context - MUST be implemented by subclasses
+     * Build a conversation turn object
+     * { id, queryElement, queryText, responseElement, position, unpaired }
+     * unpaired: no user message of its own was found for the response
+     */
+    buildTurn({ id, queryElement, responseElement, position }) {
+      const text = queryElement?.textContent?.trim();
+      return {
+        id: id || `turn-${position}`,
+        queryElement: queryElement || null,
+        queryText: text && text.length > 3 ? text : null,
+        responseElement,
+        position,
+        unpaired: !queryElement
+      };
+    }
+
+    /**
+     * Return every conversation turn on the page, in order
+     * Default: pair each response with the nearest user query before it in document order.
+     * A query answers only the first response after it; later ones are left unpaired.
+     * Vendors with an explicit turn container override this.
+     */
+    getConversationTurns() {
+      const { responses, userQueries } = this.config.selectors;
+
+      // Mirror findResponseContainers: primary selector, else fallbacks
+      let responseElements = Array.from(document.querySelectorAll(responses.primary));
+      if (responseElements.length === 0 && responses.fallbacks.length > 0) {
+        responseElements = Array.from(document.querySelectorAll(responses.fallbacks.join(', ')));
+      }
+      responseElements = responseElements.filter(el => !el.closest('.hx-panel-host'));
+      // Keep only the outermost match when selectors nest
+      responseElements = responseElements.filter(el =>
+        !responseElements.some(other => other !== el && other.contains(el))
+      );
+
+      // User queries rendered inside a response (quotes, headings) are not turns
+      const queryElements = Array.from(document.querySelectorAll(userQueries.join(', '))).filter(el =>
+        !el.closest('.hx-panel-host') && !responseElements.some(r => r.contains(el))
+      );
+
+      const ordered = [
+        ...queryElements.map(element => ({ element, isQuery: true })),
+        ...responseElements.map(element => ({ element, isQuery: false }))
+      ].sort((a, b) =>
+        a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+      );
+
+      const turns = [];
+      let pendingQuery = null;
+      for (const { element, isQuery } of ordered) {
+        if (isQuery) {
+          pendingQuery = element;
+        } else {
+          turns.push(this.buildTurn({ queryElement: pendingQuery, responseElement: element, position: turns.length }));
+          pendingQuery = null;
+        }
+      }
+      return turns;
+    }
+
+    /**
+     * Find the turn a response element belongs to
+     * Falls back to extractQuery() heuristics when the turn has no paired query
+     */
+    getTurnForResponse(responseElement) {
+      const turns = this.getConversationTurns();
+      const turn = turns.find(t =>
+        t.responseElement === responseElement ||
+        t.responseElement.contains(responseElement) ||
+        responseElement.contains(t.responseElement)
+      );
+
+      if (turn?.queryText) {
+        debugLog(`Found ${this.name} query via turn ${turn.id}:`, turn.queryText);
+        return turn;
+      }
+
+      const queryText = this.extractQuery(responseElement);
+      if (!queryText) {
+        debugLog(`❌ Could not find ${this.name} turn for response`);
+        return null;
+      }
+
+      // unpaired: the turn structure didn't match (or had no user message), so the query
+      // is only a guess and position/id aren't stable
+      const position = turn ? turn.position : turns.length;
+      return { ...this.buildTurn({ id: turn?.id, responseElement, position }), queryText, unpaired: !turn || turn.unpaired };
+    }
+
+    /**
+     * User queries of the turns before turnId, oldest first (every turn when turnId is
+     * null or unknown, e.g. for a query that has no response yet)
+     */
+    getPriorQueries(turnId = null) {
+      const turns = this.getConversationTurns();
+      const index = turnId ? turns.findIndex(t => t.id === turnId) : -1;
+      return (index === -1 ? turns : turns.slice(0, index))
+        .map(t => t.queryText)
+        .filter(Boolean);
+    }
+
+    /**
+     * Heuristic query extraction for vendors without a reliable turn structure
+     * Only used when getConversationTurns() can't pair a response with a query
      */
     extractQuery(responseElement) {
-      throw new Error(`${this.name}Adapter must implement extractQuery()`);
+      return null;
     }
 
     /**
      * Inject HundredX panel into DOM - can be overridden for vendor-specific needs
+     * `panel` is the panel's shadow host element (see createHundredXPanel)
      */
     injectPanel(responseElement, panel) {
       // Default implementation: wrap response and panel in container
@@ -310,78 +753,288 @@
       return container;
     }
 
+    /**
+     * Identify the current conversation from the URL
+     * Returns null on pages without a conversation yet (e.g. a fresh "new chat" page)
+     */
+    getConversationId() {
+      const pattern = this.config.conversationIdPattern;
+      if (!pattern) {
+        return window.location.pathname;
+      }
+      const match = window.location.pathname.match(new RegExp(pattern));
+      return match ? match[1] : null;
+    }
+
     /**
      * Get timing configuration
      */
     getTimingConfig() {
       return this.config.timing;
     }
-  }
 
-  /**
-   * Claude-specific adapter
-   */
-  class ClaudeAdapter extends VendorAdapter {
-    extractQuery(responseElement) {
-      debugLog('Attempting to extract query from Claude context');
+    /**
+     * Whether the site is still generating this response. A stop button inside a response
+     * belongs to that response; one outside every response (the composer's) only to the
+     * latest, so older responses waiting to finish aren't held by it.
+     */
+    isGenerating(element) {
+      const stopButtons = this.config.selectors.stopButtons || [];
+      const buttons = stopButtons.length > 0 ? Array.from(document.querySelectorAll(stopButtons.join(', '))) : [];
+      if (buttons.length === 0) {
+        return false;
+      }
 
-      // Method 1: Look for user query elements
-      const userQueryElements = document.querySelectorAll(this.config.selectors.userQueries.join(', '));
-      debugLog('Found user query elements:', userQueryElements.length);
+      const { primary, fallbacks } = this.config.selectors.responses;
+      const responses = Array.from(document.querySelectorAll([primary, ...fallbacks].join(', ')))
+        .filter(response => !response.closest('.hx-panel-host'));
+      const isLatest = !responses.some(response =>
+        element.compareDocumentPosition(response) & Node.DOCUMENT_POSITION_FOLLOWING && !element.contains(response)
+      );
+
+      return buttons.some(button => {
+        if (element.contains(button)) return true;
+        const inOtherResponse = responses.some(response => response.contains(button) && !response.contains(element));
+        return !inOtherResponse && isLatest;
+      });
+    }
 
-      if (userQueryElements.length > 0) {
-        // Get the most recent user query (last one that's not our response)
-        for (let i = userQueryElements.length - 1; i >= 0; i--) {
-          const element = userQueryElements[i];
-          const text = element.textContent?.trim();
+    /**
+     * Whether the response element itself carries a streaming marker
+     */
+    isResponseStreaming(element) {
+      const streaming = this.config.selectors.streaming || [];
+      return streaming.some(selector =>
+        element.matches(selector) || !!element.closest(selector) || !!element.querySelector(selector)
+      );
+    }
 
-          // Make sure this isn't inside our own panel
-          if (!element.closest('.hx-response-panel') && text && text.length > 3) {
-            debugLog('Found query via method 1:', text);
-            return text;
+    /**
+     * Resolve once the response has finished generating: no stop button, no
+     * streaming marker, and no DOM changes for `stableFrames` frames' worth of time.
+     * With `settled`, a response that isn't generating is finished at once (history
+     * already on the page). Resolves false if the element is removed before it finishes.
+     */
+    waitForCompletion(element, { settled = false } = {}) {
+      const { stableFrames = 30, maxCompletionWait = 180000 } = this.config.timing;
+      const quietPeriod = stableFrames * FRAME_DURATION;
+
+      return new Promise(resolve => {
+        let quietTimer = null;
+        let deadlineTimer = null;
+        let observer = null;
+
+        const finish = (result) => {
+          clearTimeout(quietTimer);
+          clearTimeout(deadlineTimer);
+          observer?.disconnect();
+          resolve(result);
+        };
+
+        // Restarted by every change to the response, so it only fires once the text is quiet
+        const waitForQuiet = () => {
+          clearTimeout(quietTimer);
+          quietTimer = setTimeout(check, quietPeriod);
+        };
+
+        const check = () => {
+          if (!element.isConnected) {
+            debugLog(`${this.name} response removed before completion`);
+            finish(false);
+            return;
           }
+
+          // A stop button going away isn't a change to the response, so look again later
+          if (this.isGenerating(element) || this.isResponseStreaming(element)) {
+            waitForQuiet();
+            return;
+          }
+
+          debugLog(`✅ ${this.name} response finished (${element.textContent?.length || 0} chars)`);
+          finish(true);
+        };
+
+        deadlineTimer = setTimeout(() => {
+          debugLog(`⚠️ ${this.name} response still changing after ${maxCompletionWait}ms, treating as finished`);
+          finish(true);
+        }, maxCompletionWait);
+
+        if (settled && element.isConnected && !this.isGenerating(element) && !this.isResponseStreaming(element)) {
+          finish(true);
+          return;
         }
-      }
 
-      // Method 2: Walk up from the response to find conversation structure
-      debugLog('Trying method 2: walking up DOM tree');
-      let currentElement = responseElement;
-      let depth = 0;
+        observer = new MutationObserver(waitForQuiet);
+        observer.observe(element, { childList: true, subtree: true, characterData: true, attributes: true });
+        waitForQuiet();
+      });
+    }
 
-      while (currentElement && depth < 10) {
-        // Look for siblings that might contain user messages
-        const siblings = Array.from(currentElement.parentNode?.children || []);
-        for (let i = 0; i < siblings.length; i++) {
-          const sibling = siblings[i];
-          const userQuery = sibling.querySelector(this.config.selectors.userQueries.join(', '));
-          if (userQuery && userQuery !== responseElement) {
-            const text = userQuery.textContent?.trim();
-            if (text && text.length > 3) {
-              debugLog('Found query via method 2:', text);
-              return text;
-            }
-          }
+    /**
+     * Run a self-test of every selector-driven capability
+     * Each check reports a status of 'green', 'amber' or 'red' plus a human-readable detail
+     */
+    runSelfTest() {
+      const { responses } = this.config.selectors;
+      const countMatches = (selector) => {
+        try {
+          return document.querySelectorAll(selector).length;
+        } catch {
+          return 0;
         }
+      };
 
-        currentElement = currentElement.parentNode;
-        depth++;
+      // Responses: green on primary, amber when only fallbacks match
+      const primaryCount = countMatches(responses.primary);
+      const fallbackCounts = responses.fallbacks.map(selector => ({ selector, count: countMatches(selector) }));
+      const matchedFallbacks = fallbackCounts.filter(f => f.count > 0);
+      let responseCheck;
+      if (primaryCount > 0) {
+        responseCheck = { status: 'green', detail: `Primary selector matched ${primaryCount}` };
+      } else if (matchedFallbacks.length > 0) {
+        responseCheck = {
+          status: 'amber',
+          detail: `Primary missed; fallback matched: ${matchedFallbacks.map(f => `${f.selector} (${f.count})`).join(', ')}`
+        };
+      } else {
+        responseCheck = { status: 'red', detail: 'No response selector matched' };
+      }
+      responseCheck.primary = { selector: responses.primary, count: primaryCount };
+      responseCheck.fallbacks = fallbackCounts;
+
+      // Input field and submit buttons
+      const inputField = this.findInputField();
+      const inputCheck = inputField
+        ? { status: 'green', detail: `Found <${inputField.tagName.toLowerCase()}>` }
+        : { status: 'red', detail: 'No input selector matched' };
+
+      // Send buttons often only render once text is typed, so a miss is a warning
+      const buttons = this.findSubmitButtons();
+      const buttonCheck = buttons.length > 0
+        ? { status: 'green', detail: `Found ${buttons.length} button(s)` }
+        : { status: 'amber', detail: 'No submit button found (may appear after typing)' };
+
+      // Query extraction against the most recent response on the page
+      let queryCheck;
+      const allResponses = document.querySelectorAll([responses.primary, ...responses.fallbacks].join(', '));
+      const latestResponse = allResponses[allResponses.length - 1];
+      if (!latestResponse) {
+        queryCheck = { status: 'amber', detail: 'No response on page to test against' };
+      } else {
+        let query = null;
+        try {
+          query = this.getTurnForResponse(latestResponse)?.queryText || null;
+        } catch (error) {
+          debugLog('❌ Turn lookup threw during self-test:', error);
+        }
+        queryCheck = query
+          ? { status: 'green', detail: `"${query.length > 60 ? query.substring(0, 60) + '…' : query}"` }
+          : { status: 'red', detail: 'No user query paired with the latest response' };
+      }
+
+      return {
+        vendor: this.name,
+        vendorKey: this.key,
+        packVersion: this.config.packVersion || null,
+        url: window.location.href,
+        checks: {
+          responses: responseCheck,
+          input: inputCheck,
+          submitButtons: buttonCheck,
+          query: queryCheck
+        }
+      };
+    }
+  }
+
+  /**
+   * Claude-specific adapter
+   * Uses the default document-order turn pairing
+   */
+  class ClaudeAdapter extends VendorAdapter {}
+
+  /**
+   * ChatGPT-specific adapter
+   */
+  class ChatGPTAdapter extends VendorAdapter {
+    validateResponse(element) {
+      if (!super.validateResponse(element)) {
+        return false;
+      }
+
+      // Fallback selectors can match markdown inside user turns (e.g. code blocks in the prompt)
+      if (element.closest('div[data-message-author-role="user"]')) {
+        debugLog('Skipping ChatGPT user message');
+        return false;
       }
 
-      // Method 3: Just grab the most recent user input from anywhere on the page
-      debugLog('Trying method 3: most recent user input');
-      const allUserInputs = Array.from(document.querySelectorAll(this.config.selectors.userQueries.join(', ')));
+      return true;
+    }
 
-      if (allUserInputs.length > 0) {
-        const lastInput = allUserInputs[allUserInputs.length - 1];
-        const text = lastInput.textContent?.trim();
-        if (text && text.length > 3) {
-          debugLog('Found query via method 3:', text);
-          return text;
+    getConversationTurns() {
+      // Each message is its own conversation-turn article; an assistant turn
+      // answers the user turn right before it
+      const { turns: turnSelectors = [], userQueries, responses } = this.config.selectors;
+      const articles = turnSelectors.length > 0 ? document.querySelectorAll(turnSelectors.join(', ')) : [];
+      const userSelector = userQueries.join(', ');
+      const turns = [];
+      let pendingQuery = null;
+
+      articles.forEach(article => {
+        const userMessage = article.querySelector(userSelector);
+        if (userMessage) {
+          pendingQuery = userMessage;
+          return;
         }
+
+        const assistantMessage = article.querySelector(responses.primary);
+        if (!assistantMessage) return;
+
+        turns.push(this.buildTurn({
+          id: assistantMessage.getAttribute('data-message-id') || article.getAttribute('data-testid'),
+          queryElement: pendingQuery,
+          responseElement: assistantMessage,
+          position: turns.length
+        }));
+        pendingQuery = null;
+      });
+
+      return turns.length > 0 ? turns : super.getConversationTurns();
+    }
+
+    injectPanel(responseElement, panel) {
+      // Wrap the whole assistant message (not just its markdown) so ChatGPT's
+      // action bar stays below the response instead of next to our panel
+      const message = responseElement.closest('div[data-message-author-role="assistant"]') || responseElement;
+      debugLog('Injecting panel for ChatGPT assistant message');
+      return super.injectPanel(message, panel);
+    }
+  }
+
+  /**
+   * Microsoft Copilot-specific adapter
+   * User and AI messages alternate in one list, so the default turn pairing applies
+   */
+  class CopilotAdapter extends VendorAdapter {
+    validateResponse(element) {
+      if (!super.validateResponse(element)) {
+        return false;
       }
 
-      debugLog('❌ Could not extract query from Claude context');
-      return null;
+      // Fallback selectors can match prose inside user messages
+      if (element.closest(this.config.selectors.userQueries.join(', '))) {
+        debugLog('Skipping Copilot user message');
+        return false;
+      }
+
+      return true;
+    }
+
+    injectPanel(responseElement, panel) {
+      // Always wrap the whole AI message so the panel lines up with its top edge
+      const message = responseElement.closest(this.config.selectors.responses.primary) || responseElement;
+      debugLog('Injecting panel for Copilot AI message');
+      return super.injectPanel(message, panel);
     }
   }
 
@@ -419,43 +1072,25 @@
       return true;
     }
 
-    extractQuery(responseElement) {
-      debugLog('Attempting to extract query from Gemini context');
-
+    getConversationTurns() {
       // Gemini has a clear conversation-container structure
       // Each conversation turn has both user-query and model-response as siblings
+      const containers = document.querySelectorAll('.conversation-container');
+      const turns = [];
+
+      containers.forEach(container => {
+        const modelResponse = container.querySelector('model-response');
+        if (!modelResponse) return;
+
+        turns.push(this.buildTurn({
+          id: container.id,
+          queryElement: container.querySelector('user-query'),
+          responseElement: modelResponse,
+          position: turns.length
+        }));
+      });
 
-      // Method 1: Find the conversation container and get the user-query
-      const conversationContainer = responseElement.closest('.conversation-container');
-      if (conversationContainer) {
-        const userQuery = conversationContainer.querySelector('user-query');
-        if (userQuery) {
-          const text = userQuery.textContent?.trim();
-          if (text && text.length > 3) {
-            debugLog('Found Gemini query via conversation-container:', text);
-            return text;
-          }
-        }
-      }
-
-      // Method 2: Try to find any user-query element
-      const userQuerySelectors = this.config.selectors.userQueries.join(', ');
-      const userQueryElements = document.querySelectorAll(userQuerySelectors);
-
-      if (userQueryElements.length > 0) {
-        // Get the most recent one
-        for (let i = userQueryElements.length - 1; i >= 0; i--) {
-          const element = userQueryElements[i];
-          const text = element.textContent?.trim();
-          if (text && text.length > 3) {
-            debugLog('Found Gemini query via user-query element:', text);
-            return text;
-          }
-        }
-      }
-
-      debugLog('❌ Could not extract query from Gemini context');
-      return null;
+      return turns.length > 0 ? turns : super.getConversationTurns();
     }
 
     injectPanel(responseElement, panel) {
@@ -514,7 +1149,7 @@
         for (let i = 0; i < threadTitleElements.length; i++) {
           const element = threadTitleElements[i];
           const text = element.textContent?.trim();
-          if (text && text.length > 3 && !element.closest('.hx-response-panel')) {
+          if (text && text.length > 3 && !element.closest('.hx-panel-host')) {
             debugLog('Found Perplexity query via thread-title:', text);
             return text;
           }
@@ -529,7 +1164,7 @@
         for (let i = userQueryElements.length - 1; i >= 0; i--) {
           const element = userQueryElements[i];
           const text = element.textContent?.trim();
-          if (text && text.length > 3 && !element.closest('.hx-response-panel')) {
+          if (text && text.length > 3 && !element.closest('.hx-panel-host')) {
             debugLog('Found Perplexity query via user query element:', text);
             return text;
           }
@@ -574,6 +1209,12 @@
    * Meta.ai-specific adapter
    */
   class MetaAdapter extends VendorAdapter {
+    getConversationTurns() {
+      // Meta's obfuscated span classes also match sidebar and UI labels, so
+      // document-order pairing is unreliable - rely on extractQuery() heuristics
+      return [];
+    }
+
     extractQuery(responseElement) {
       debugLog('Attempting to extract query from Meta.ai context');
 
@@ -601,7 +1242,7 @@
           }
 
           // Ensure it's a reasonable query length and not part of our panel
-          if (text && text.length > 10 && text.length < 500 && !element.closest('.hx-response-panel')) {
+          if (text && text.length > 10 && text.length < 500 && !element.closest('.hx-panel-host')) {
             debugLog('Found Meta.ai query via span element:', text);
             return text;
           }
@@ -629,7 +1270,7 @@
             const text = sibling.textContent?.trim();
             if (text && text.length > 10 && text.length < 500 &&
                 !text.includes('Wegovy and Zepbound are') && // avoid response text
-                !sibling.closest('.hx-response-panel')) {
+                !sibling.closest('.hx-panel-host')) {
               debugLog('Found Meta.ai query via sibling:', text);
               return text;
             }
@@ -890,39 +1531,95 @@
 
   /**
    * Create the appropriate vendor adapter
+   * Pass merged configs (see mergeSelectorPack) to pick up selector pack overrides
    */
-  function createVendorAdapter() {
+  function createVendorAdapter(configs = VENDOR_CONFIGS) {
     const vendorKey = detectCurrentVendor();
     if (!vendorKey) {
       debugLog('❌ No vendor adapter available for this site');
       return null;
     }
 
-    const config = VENDOR_CONFIGS[vendorKey];
+    const config = configs[vendorKey];
 
     switch (vendorKey) {
       case 'claude':
-        return new ClaudeAdapter(config);
+        return new ClaudeAdapter(config, vendorKey);
+      case 'chatgpt':
+        return new ChatGPTAdapter(config, vendorKey);
+      case 'copilot':
+        return new CopilotAdapter(config, vendorKey);
       case 'gemini':
-        return new GeminiAdapter(config);
+        return new GeminiAdapter(config, vendorKey);
       case 'perplexity':
-        return new PerplexityAdapter(config);
+        return new PerplexityAdapter(config, vendorKey);
       case 'meta':
-        return new MetaAdapter(config);
+        return new MetaAdapter(config, vendorKey);
       default:
         debugLog('⚠️ Unknown vendor key:', vendorKey);
         return null;
     }
   }
 
-  // Initialize vendor adapter
-  const vendorAdapter = createVendorAdapter();
+  // Initialize vendor adapter (built-in selectors until a selector pack is applied in init)
+  let vendorAdapter = createVendorAdapter();
   if (!vendorAdapter) {
     console.warn('HundredX: Not running on a supported AI assistant site');
     return; // Exit early if not on supported site
   }
   debugLog(`🚀 Initialized ${vendorAdapter.name} adapter`);
 
+  // Swap the adapter for one built from the selector pack, then verify it against the page
+  async function applySelectorPack() {
+    let pack;
+    try {
+      pack = await loadSelectorPack();
+    } catch (error) {
+      debugLog('❌ Error loading selector pack:', error);
+      return;
+    }
+
+    if (!pack) {
+      debugLog('📦 No selector pack, using built-in selectors');
+      vendorAdapter = createVendorAdapter();
+      return;
+    }
+
+    const packedAdapter = createVendorAdapter(mergeSelectorPack(VENDOR_CONFIGS, pack));
+    if (!packedAdapter.config.packVersion) {
+      debugLog(`📦 Selector pack ${pack.version} has no overrides for ${vendorAdapter.name}`);
+      return;
+    }
+
+    vendorAdapter = packedAdapter;
+    debugLog(`📦 Applied selector pack ${pack.version} to ${vendorAdapter.name} adapter`);
+
+    setTimeout(() => verifySelectorPack(pack.version), SELECTOR_PACK_VERIFY_DELAY);
+  }
+
+  // Roll back to built-in selectors if the pack matches nothing but the built-ins still do
+  async function verifySelectorPack(version) {
+    if (vendorAdapter.config.packVersion !== version) return;
+
+    const packMatches = countSelectorMatches(vendorAdapter.config);
+    if (packMatches > 0) {
+      debugLog(`✅ Selector pack ${version} matched ${packMatches} elements`);
+      return;
+    }
+
+    const builtInAdapter = createVendorAdapter();
+    const builtInMatches = countSelectorMatches(builtInAdapter.config);
+    if (builtInMatches === 0) {
+      debugLog(`⚠️ Neither selector pack ${version} nor built-in selectors match yet, keeping pack`);
+      return;
+    }
+
+    console.warn(`HundredX: Selector pack ${version} matched nothing, rolling back to built-in selectors`);
+    vendorAdapter = builtInAdapter;
+    await chrome.storage.local.set({ [SELECTOR_PACK_REJECTED_KEY]: version });
+    processAllResponses();
+  }
+
   // Track processed responses to avoid duplicates
   const processedResponses = new WeakSet();
 
@@ -930,7 +1627,31 @@
   const processedQueryContexts = new Set();
 
   // Cache for API responses to avoid duplicate calls and enable parallel processing
-  const queryCache = new Map(); // Map<query, {promise, result, timestamp}>
+  const queryCache = new Map(); // Map<getQueryCacheKey(), {promise, result, timestamp}>
+
+  // In-flight requests by panel: dismissing/removing a panel, navigating or disabling the extension cancels them
+  const panelRequests = new Map(); // Map<panel, AbortController>
+
+  // Panels showing the "service degraded" state, reloaded when the API circuit closes
+  const degradedPanels = new Set();
+
+  // HundredX metadata of answered queries, sent with follow-ups as conversation context
+  const answerContexts = new Map(); // Map<query, {industry, brands}>
+
+  // Queries sent to the API; the rest were kept off the network and stay out of later context too
+  const askedQueries = new Set();
+
+  // Panels by conversation turn, so regenerated/edited responses reuse their turn's panel
+  const turnPanels = new Map(); // Map<turnId, {panel, query, responseElement}>
+
+  // The AI response each panel sits next to, for fact-check mode
+  const panelResponses = new WeakMap(); // WeakMap<panel, responseElement>
+
+  // The response text each panel last sent for fact-checking
+  const factCheckedTexts = new WeakMap(); // WeakMap<panel, string>
+
+  // Each panel's last successful answer, to badge the response again when it's replaced
+  const panelAnswers = new WeakMap(); // WeakMap<panel, apiResponse>
 
   // Demo mode state (loaded from chrome.storage)
   let isDemoModeEnabled = false;
@@ -944,9 +1665,9 @@
     
     // Clean up cache entries older than 5 minutes
     const fiveMinutesAgo = Date.now() - 5 * 60 * 1000;
-    for (const [query, data] of queryCache.entries()) {
+    for (const [key, data] of queryCache.entries()) {
       if (data.timestamp < fiveMinutesAgo) {
-        queryCache.delete(query);
+        queryCache.delete(key);
       }
     }
   }, 60000); // Clean every minute
@@ -956,16 +1677,803 @@
     console.log(`🔍 HundredX DEBUG: ${message}`, data || '');
   }
 
-  // Create unique context identifier for query + response to prevent duplicates
-  function createQueryContext(query, responseElement) {
-    // Use query + response length + element position as unique identifier
-    const responseText = responseElement.textContent?.trim() || '';
+  // Create unique context identifier for a conversation turn to prevent duplicates
+  function createQueryContext(turn) {
+    // Use query + turn id + response length as unique identifier
+    const responseText = turn.responseElement.textContent?.trim() || '';
     const responseLength = responseText.length;
-    const elementId = responseElement.getAttribute('data-testid') || 
-                     responseElement.className || 
-                     'unknown';
-    
-    return `${query}|${responseLength}|${elementId}`;
+
+    return `${turn.queryText}|${turn.id}|${responseLength}`;
+  }
+
+  // ============================================================================
+  // CONVERSATION CONTEXT
+  // ============================================================================
+
+  // Follow-ups ("what about Target?", "and for price?") only make sense against earlier turns,
+  // so requests carry the previous user queries and what HundredX said about them
+  const CONTEXT_MAX_QUERIES = 5;
+
+  // The same query asked against a different conversation is a different answer
+  function getQueryCacheKey(query, context = null) {
+    return JSON.stringify([query, context]);
+  }
+
+  function rememberAnswerContext(query, apiResponse) {
+    const { industry, brands } = apiResponse.metadata || {};
+    if (query && apiResponse.metadata?.enriched) {
+      answerContexts.set(query, { industry: industry || null, brands: brands || [] });
+    }
+  }
+
+  // options.context for /api/answer (spec.md), or null for the first question of a conversation
+  function buildConversationContext(query, turnId = null) {
+    if (!vendorAdapter) {
+      return null;
+    }
+
+    const previousQueries = vendorAdapter.getPriorQueries(turnId);
+    // Sites that render the user's message before its response already list this query
+    if (previousQueries[previousQueries.length - 1] === query) {
+      previousQueries.pop();
+    }
+    // Only turns we asked (or enriched) - the classifier kept the others off the network
+    const askedPrevious = previousQueries.filter(q => askedQueries.has(q) || answerContexts.has(q));
+    if (askedPrevious.length === 0) {
+      return null;
+    }
+
+    const context = { previous_queries: askedPrevious.slice(-CONTEXT_MAX_QUERIES) };
+    const lastAnswer = askedPrevious.map(q => answerContexts.get(q)).filter(Boolean).pop();
+    if (lastAnswer?.industry) {
+      context.industry = lastAnswer.industry;
+    }
+    if (lastAnswer?.brands.length > 0) {
+      context.brands = lastAnswer.brands;
+    }
+    return context;
+  }
+
+  // ============================================================================
+  // FACT-CHECK MODE
+  // ============================================================================
+
+  // With settings.factCheck on, the AI's answer goes to the API along with the query, and the
+  // panel lists the claims HundredX data agrees or disagrees with (spec.md "Fact Check")
+  const FACT_CHECK_MAX_CHARS = 8000;
+  const FACT_CHECK_HIGHLIGHT = 'hx-fact-check'; // ::highlight() name in styles.css
+  const FACT_CHECK_HIGHLIGHT_DURATION = 4000;
+
+  let factCheckHighlightTimer = null;
+
+  // options for /api/answer (spec.md): conversation context, plus the response to fact-check
+  // once the panel's AI response is complete. Null when there's nothing to send.
+  function buildAnswerOptions(panel, query, settings) {
+    const options = {};
+
+    const context = buildConversationContext(query, panel?.dataset.hxTurnId);
+    if (context) {
+      options.context = context;
+    }
+
+    const responseElement = panel && panelResponses.get(panel);
+    if (settings.factCheck && responseElement) {
+      const responseText = getFactCheckText(responseElement);
+      if (responseText) {
+        options.fact_check = { assistant: vendorAdapter.name, response_text: responseText };
+        factCheckedTexts.set(panel, responseText);
+      }
+    }
+
+    return Object.keys(options).length > 0 ? options : null;
+  }
+
+  // innerText keeps the line breaks between paragraphs and list items, so sentences stay apart
+  function getFactCheckText(responseElement) {
+    return (responseElement.innerText || responseElement.textContent || '').trim().slice(0, FACT_CHECK_MAX_CHARS);
+  }
+
+  // A regenerated response makes the panel's fact check, and its scroll-to-claim quotes, stale
+  function hasStaleFactCheck(panel, responseElement) {
+    const checkedText = factCheckedTexts.get(panel);
+    return checkedText !== undefined && checkedText !== getFactCheckText(responseElement);
+  }
+
+  // Range covering the first occurrence of text in root, ignoring case and whitespace differences
+  function findTextRange(root, text) {
+    const target = text.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!target) {
+      return null;
+    }
+
+    // Flatten the text nodes, remembering where each character came from
+    let haystack = '';
+    const positions = []; // haystack index -> [textNode, offset]
+    const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+    let lastWasSpace = true;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const value = node.nodeValue;
+      for (let i = 0; i < value.length; i++) {
+        const isSpace = /\s/.test(value[i]);
+        if (isSpace && lastWasSpace) continue;
+        haystack += isSpace ? ' ' : value[i].toLowerCase();
+        positions.push([node, i]);
+        lastWasSpace = isSpace;
+      }
+    }
+
+    const index = haystack.indexOf(target);
+    if (index === -1) {
+      return null;
+    }
+
+    const [startNode, startOffset] = positions[index];
+    const [endNode, endOffset] = positions[index + target.length - 1];
+    const range = document.createRange();
+    range.setStart(startNode, startOffset);
+    range.setEnd(endNode, endOffset + 1);
+    return range;
+  }
+
+  // Scroll the AI response to a fact-checked sentence and highlight it for a moment
+  function scrollToClaim(panel, quote) {
+    const responseElement = panelResponses.get(panel);
+    const range = responseElement?.isConnected && findTextRange(responseElement, quote);
+    if (!range) {
+      debugLog('❌ Fact-check quote not found in response:', quote);
+      return;
+    }
+
+    const target = range.startContainer.parentElement;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+    // CSS Custom Highlight API leaves the page's DOM alone; older browsers just scroll
+    if (window.CSS?.highlights && typeof Highlight === 'function') {
+      clearTimeout(factCheckHighlightTimer);
+      CSS.highlights.set(FACT_CHECK_HIGHLIGHT, new Highlight(range));
+      factCheckHighlightTimer = setTimeout(() => CSS.highlights.delete(FACT_CHECK_HIGHLIGHT), FACT_CHECK_HIGHLIGHT_DURATION);
+    }
+    debugLog('🔎 Scrolled to fact-checked claim:', quote);
+  }
+
+  const FACT_CHECK_VERDICT_LABELS = {
+    agrees: { icon: '✓', label: 'Agrees' },
+    disagrees: { icon: '✗', label: 'Disagrees' },
+    unverified: { icon: '?', label: 'Unverified' }
+  };
+
+  // "<assistant> says X / HundredX customers say Y" list under the answer.
+  // Built with the DOM since quotes come from the page and the API
+  function appendFactCheck(contentDiv, apiResponse) {
+    const claims = apiResponse.fact_check?.claims;
+    if (!Array.isArray(claims) || claims.length === 0) {
+      return;
+    }
+
+    const assistant = apiResponse.fact_check.assistant || vendorAdapter?.name || 'The AI';
+    const section = document.createElement('section');
+    section.className = 'hx-fact-check';
+
+    const heading = document.createElement('h5');
+    heading.className = 'hx-fact-check-title';
+    heading.textContent = `Fact check: ${assistant} vs. HundredX`;
+    section.appendChild(heading);
+
+    const list = document.createElement('ul');
+    list.className = 'hx-fact-check-list';
+    claims.forEach(claim => {
+      const verdict = FACT_CHECK_VERDICT_LABELS[claim.verdict] || FACT_CHECK_VERDICT_LABELS.unverified;
+      const item = document.createElement('li');
+      item.className = `hx-fact-check-claim hx-verdict-${claim.verdict}`;
+
+      const badge = document.createElement('span');
+      badge.className = 'hx-fact-check-verdict';
+      badge.textContent = `${verdict.icon} ${verdict.label}`;
+      item.appendChild(badge);
+
+      const says = document.createElement('p');
+      says.className = 'hx-fact-check-says';
+      says.append(`${assistant} says `);
+      const quoteLink = document.createElement('button');
+      quoteLink.type = 'button';
+      quoteLink.className = 'hx-fact-check-quote';
+      quoteLink.dataset.hxAction = 'scroll-claim';
+      quoteLink.dataset.hxQuote = claim.quote;
+      quoteLink.title = 'Show in response';
+      quoteLink.textContent = `“${claim.quote}”`;
+      says.appendChild(quoteLink);
+      item.appendChild(says);
+
+      if (claim.hundredx) {
+        const hundredx = document.createElement('p');
+        hundredx.className = 'hx-fact-check-hundredx';
+        hundredx.textContent = `HundredX customers say: ${claim.hundredx}`;
+        item.appendChild(hundredx);
+      }
+
+      list.appendChild(item);
+    });
+    section.appendChild(list);
+    contentDiv.appendChild(section);
+  }
+
+  // ============================================================================
+  // INTENT PRE-CLASSIFIER
+  // ============================================================================
+
+  // Local stand-in for the API's intent classification (spec.md "Query Processing Logic"), so
+  // queries HundredX won't enrich never make the round trip. Each matching signal adds its weight
+  // to an intent; confidence is that intent's share of all weight.
+  const INTENT_SIGNALS = {
+    commercial: [
+      { weight: 2, pattern: /\b(best|top|compare[ds]?|comparison|vs\.?|versus|better|worst|recommend(ed|ations?)?|rated|ranking|cheapest|worth it|alternatives?)\b/i },
+      { weight: 1, pattern: /\b(prices?|pricing|quality|service|value|customer (service|experience|satisfaction)|reliab(le|ility)|fees?|reviews?|loyalty|satisfaction)\b/i },
+      { weight: 1, pattern: /\b(stores?|superstores?|retailers?|airlines?|banks?|carriers?|hotels?|restaurants?|brands?|companies|insurers?|providers?|grocery|groceries)\b/i },
+      { weight: 3, pattern: /\bwhich\s+(\w+\s+)?(store|superstore|retailer|airline|bank|carrier|hotel|brand|company|phone|laptop|car)s?\b/i },
+      { weight: 1, pattern: /\b\w+\s+(vs\.?|versus|or)\s+\w+\s*\??$/i } // Also "Python or Java?", so weak on its own
+    ],
+    informational: [
+      { weight: 2, pattern: /^(what|who|why|when|where)\s+(is|are|was|were|did|does)\b/i },
+      { weight: 2, pattern: /\b(how\s+(do|does|to|can|did)|explain|define|definition|meaning of|history of|difference between)\b/i },
+      { weight: 3, pattern: /\b((?<!(promo|coupon|discount) )code|function|loop|script|python|javascript|sql|regex|error|bug|compile|equation|essay|poem|translate|summari[sz]e)\b/i }
+    ],
+    navigational: [
+      { weight: 3, pattern: /\b(hours|opening times?|open (now|today|on)|near me|nearest|locations?|address|directions to|phone number|contact|customer service number|log ?in|sign ?in page|website)\b/i }
+    ],
+    transactional: [
+      { weight: 3, pattern: /\b(buy|order|purchase|checkout|coupons?|promo codes?|discount codes?|book (a|my)|reserve|subscribe|sign up for|cancel my|refund for|track my)\b/i }
+    ]
+  };
+
+  const BRAND_SIGNAL_WEIGHT = 1.5; // Per brand mentioned; two or more brands also count as a comparison
+  const FOLLOW_UP_WEIGHT = 3; // Follow-up to a turn HundredX enriched
+  const FOLLOW_UP_PATTERN = /^(and|what about|how about|what of|same for|ok so|so which|is it|are they|do they)\b/i;
+  const DEFAULT_INTENT_THRESHOLD = 0.5; // Skip when a non-commercial intent has at least this share
+
+  // brands.json entries by lowercase key and display name (score, reviews, pros, cons)
+  const brandCatalog = new Map();
+
+  // Brands HundredX commonly covers; brands.json entries are added by loadBrandCatalog()
+  const brandNames = new Set([
+    'walmart', 'costco', 'target', 'amazon', 'kroger', 'best buy', 'home depot', "lowe's", "sam's club", 'aldi',
+    'delta', 'united', 'american airlines', 'southwest', 'jetblue', 'alaska airlines',
+    'apple', 'samsung', 'google', 'verizon', 'at&t', 't-mobile',
+    'chase', 'bank of america', 'wells fargo', 'marriott', 'hilton', 'starbucks', "mcdonald's"
+  ]);
+
+  async function loadBrandCatalog() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('brands.json'));
+      const catalog = await response.json();
+      Object.entries(catalog.brands || {}).forEach(([key, brand]) => {
+        const names = [key, brand.display].filter(Boolean).map(name => name.toLowerCase());
+        names.forEach(name => {
+          brandNames.add(name);
+          brandCatalog.set(name, { ...brand, display: brand.display || key });
+        });
+      });
+      debugLog('🏷️ Brand catalog loaded:', brandNames.size);
+    } catch (error) {
+      debugLog('⚠️ Could not load brands.json, using built-in brands:', error);
+    }
+  }
+
+  // Brands that are also everyday words count only when capitalized ("Target", not "target
+  // audience") or next to a word that makes them a business ("delta flights", "chase card")
+  const AMBIGUOUS_BRANDS = new Set(['united', 'target', 'delta', 'apple', 'chase']);
+  const BRAND_CONTEXT_WORDS = /^(stores?|superstores?|retailers?|airlines?|flights?|miles|banks?|banking|cards?|accounts?|mortgages?|phones?|iphones?|ipads?|macbooks?|laptops?|watch|app|customer|customers|service|prices?|vs\.?|versus)$/i;
+
+  function findBrandMentions(query) {
+    const text = ` ${query.toLowerCase().replace(/[^a-z0-9&'\-]+/g, ' ')} `;
+    return Array.from(brandNames).filter(brand =>
+      text.includes(` ${brand} `) && (!AMBIGUOUS_BRANDS.has(brand) || isBrandUsage(query, brand))
+    );
+  }
+
+  function isBrandUsage(query, brand) {
+    const pattern = new RegExp(`(?:(\\S+)\\s+)?\\b(${escapeRegExp(brand)})\\b(?:\\s+(\\S+))?`, 'gi');
+    let match;
+    while ((match = pattern.exec(query)) !== null) {
+      const [, before = '', name, after = ''] = match;
+      const isContextWord = word => BRAND_CONTEXT_WORDS.test(word.replace(/^\W+|[^\w.]+$/g, ''));
+      if (/^[A-Z]/.test(name) || isContextWord(before) || isContextWord(after)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Returns { intent, confidence, scores, brands }; intent is 'unknown' when no signal matched. context is buildConversationContext()'s
+  function classifyIntent(query, context = null) {
+    const scores = { commercial: 0, informational: 0, navigational: 0, transactional: 0 };
+    Object.entries(INTENT_SIGNALS).forEach(([intent, signals]) => {
+      signals.forEach(({ weight, pattern }) => {
+        if (pattern.test(query)) scores[intent] += weight;
+      });
+    });
+
+    const brands = findBrandMentions(query);
+    scores.commercial += brands.length * BRAND_SIGNAL_WEIGHT;
+    if (brands.length >= 2) {
+      scores.commercial += 2;
+    }
+
+    // "and for families?" has no signals of its own but continues a commercial conversation
+    const isShort = query.trim().split(/\s+/).length <= 4;
+    if (context?.industry && (FOLLOW_UP_PATTERN.test(query.trim()) || isShort)) {
+      scores.commercial += FOLLOW_UP_WEIGHT;
+    }
+
+    // Ties go to commercial so borderline queries still reach the API
+    const total = Object.values(scores).reduce((sum, score) => sum + score, 0);
+    if (total === 0) {
+      // "anything better than my Dyson?" matches nothing we know; let the API decide
+      return { intent: 'unknown', confidence: 0, scores, brands };
+    }
+    const intent = Object.keys(scores).reduce((best, key) => (scores[key] > scores[best] ? key : best), 'commercial');
+    return { intent, confidence: scores[intent] / total, scores, brands };
+  }
+
+  // Skip the API only when the query is confidently non-commercial (or always ask, if set)
+  function shouldAskApi(query, settings, context = null) {
+    if (settings.alwaysAsk) {
+      return true;
+    }
+
+    const threshold = settings.intentThreshold ?? DEFAULT_INTENT_THRESHOLD;
+    const classification = classifyIntent(query, context);
+    const skip = classification.intent !== 'commercial' && classification.confidence >= threshold;
+    debugLog(`🧭 Intent ${classification.intent} (${Math.round(classification.confidence * 100)}%, threshold ${Math.round(threshold * 100)}%): ${skip ? 'skipping API' : 'asking API'}`, classification);
+    return !skip;
+  }
+
+  // ============================================================================
+  // BRAND BADGES
+  // ============================================================================
+
+  // Once a panel's answer arrives, the first capitalized mention of each brand in its
+  // metadata.brands gets a GO score badge in the AI response. Scores come from
+  // metadata.brand_scores, falling back to brands.json. The response belongs to the site
+  // (React re-renders it), so badges are never inserted into it: they sit in an overlay layer
+  // in our .hx-response-container, positioned over the end of each mention and laid out
+  // again whenever the response changes size or content.
+  const BADGE_SKIP_SELECTOR = 'pre, code, a, button, textarea, input, [contenteditable="true"], .hx-badge-layer';
+
+  const badgeOverlays = new Map(); // Map<panel, {layer, brands, responseElement, observers, frame}>
+
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // Map<lowercase name, { name, score, reviews }> of the answer's brands that have a score
+  function getBadgeBrands(apiResponse) {
+    const brands = new Map();
+    const apiScores = apiResponse.metadata?.brand_scores || {};
+    (apiResponse.metadata?.brands || []).forEach(name => {
+      if (typeof name !== 'string') return;
+      const key = name.toLowerCase();
+      const score = apiScores[name]?.score ?? brandCatalog.get(key)?.score;
+      if (typeof score === 'number') {
+        brands.set(key, { name, score, reviews: apiScores[name]?.reviews ?? brandCatalog.get(key)?.reviews });
+      }
+    });
+    return brands;
+  }
+
+  function createBrandBadge(brand) {
+    const badge = document.createElement('span');
+    badge.className = 'hx-go-badge hx-brand-badge';
+    badge.dataset.hxBrand = brand.name;
+    badge.dataset.hxScore = `GO ${brand.score}`;
+    badge.setAttribute('role', 'img');
+    badge.setAttribute('aria-label', `HundredX GO Score ${brand.score} for ${brand.name}`);
+    badge.title = typeof brand.reviews === 'number'
+      ? `HundredX GO Score for ${brand.name}, based on ${brand.reviews.toLocaleString()} verified reviews`
+      : `HundredX GO Score for ${brand.name}`;
+    return badge;
+  }
+
+  // Badge the panel's AI response for apiResponse, replacing any badges it already had
+  function annotateBrandBadges(panel, apiResponse) {
+    removeBrandBadges(panel);
+
+    const responseElement = panelResponses.get(panel);
+    const container = getPanelHost(panel).closest('.hx-response-container');
+    if (!responseElement?.isConnected || !container) {
+      return;
+    }
+
+    const brands = getBadgeBrands(apiResponse);
+    if (brands.size === 0) {
+      return;
+    }
+
+    const layer = document.createElement('div');
+    layer.className = 'hx-badge-layer';
+    container.appendChild(layer);
+
+    const overlay = { layer, brands, responseElement, observers: [], frame: null };
+    const scheduleLayout = () => {
+      if (!overlay.frame) {
+        overlay.frame = requestAnimationFrame(() => {
+          overlay.frame = null;
+          layoutBrandBadges(panel, overlay);
+        });
+      }
+    };
+    const resizeObserver = new ResizeObserver(scheduleLayout);
+    resizeObserver.observe(responseElement);
+    // Meta.ai's container sits inside its response, so ignore our own layer's changes
+    const mutationObserver = new MutationObserver(mutations => {
+      if (mutations.some(mutation => !layer.contains(mutation.target))) scheduleLayout();
+    });
+    mutationObserver.observe(responseElement, { childList: true, subtree: true, characterData: true });
+    overlay.observers.push(resizeObserver, mutationObserver);
+
+    badgeOverlays.set(panel, overlay);
+    layoutBrandBadges(panel, overlay);
+  }
+
+  function layoutBrandBadges(panel, overlay) {
+    const { layer, brands, responseElement } = overlay;
+    if (!responseElement.isConnected || !layer.isConnected) {
+      removeBrandBadges(panel);
+      return;
+    }
+
+    const walker = document.createTreeWalker(responseElement, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.parentElement?.closest(BADGE_SKIP_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+    });
+    const layerRect = layer.getBoundingClientRect();
+    const range = document.createRange();
+    const badged = new Set();
+    const badges = [];
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      // Same matcher as hover cards, so a lowercase "target" gets neither
+      findBrandMatches(node.nodeValue, brands).forEach(match => {
+        const brand = brands.get(match.name.toLowerCase());
+        if (badged.has(brand.name)) return;
+
+        range.setStart(node, match.index);
+        range.setEnd(node, match.end);
+        const rects = range.getClientRects();
+        const rect = rects[rects.length - 1];
+        if (!rect) return; // Not rendered (collapsed or hidden)
+
+        const badge = createBrandBadge(brand);
+        badge.style.left = `${rect.right - layerRect.left}px`;
+        badge.style.top = `${rect.top - layerRect.top}px`;
+        badges.push(badge);
+        badged.add(brand.name);
+      });
+    }
+
+    const count = layer.childElementCount;
+    layer.replaceChildren(...badges);
+    if (badges.length !== count) {
+      debugLog(`🏷️ ${badges.length} brand badges`);
+    }
+  }
+
+  // Remove the panel's badges, or every panel's
+  function removeBrandBadges(panel = null) {
+    const panels = panel ? [panel] : Array.from(badgeOverlays.keys());
+    panels.forEach(key => {
+      const overlay = badgeOverlays.get(key);
+      if (!overlay) return;
+      overlay.observers.forEach(observer => observer.disconnect());
+      cancelAnimationFrame(overlay.frame);
+      overlay.layer.remove();
+      badgeOverlays.delete(key);
+    });
+  }
+
+  // ============================================================================
+  // BRAND HOVER CARDS
+  // ============================================================================
+
+  // Hovering a brand shows its GO score, review count, driver highlights and top pros/cons,
+  // from GET /api/brands/{name} or brands.json when the API can't answer. Only the brands in
+  // the panel's metadata.brands get cards, so "United States" or "Target audience" in an
+  // answer about superstores don't. In AI responses the brand under the pointer is found
+  // with caretRangeFromPoint, leaving the page's DOM alone; in panels (our own markup)
+  // mentions are wrapped in .hx-brand-mention spans.
+  const BRAND_CARD_MAX_ITEMS = 3; // Pros and cons shown per card
+  const BRAND_CARD_OFFSET = 8; // px between the brand and its card
+
+  const brandCards = new Map(); // Map<lowercase name, Promise<card | null>>, live cards only once settled
+  const answerBrands = new WeakMap(); // WeakMap<responseElement, Set<lowercase name>> of its panel's answer
+  let brandCardElement = null;
+  let hoveredBrand = null; // lowercase name the card is showing or loading
+  let brandHoverFrame = null;
+  let brandPattern = null;
+  let brandPatternSize = 0;
+
+  // The answer's brands, lowercase; they join brandNames so the matcher knows them
+  function getAnswerBrands(apiResponse) {
+    const brands = new Set();
+    (apiResponse.metadata?.brands || []).forEach(name => {
+      if (typeof name !== 'string') return;
+      brands.add(name.toLowerCase());
+      brandNames.add(name.toLowerCase());
+    });
+    return brands;
+  }
+
+  // Hovering the panel's AI response offers cards for the answer's brands
+  function rememberAnswerBrands(panel, brands) {
+    const responseElement = panelResponses.get(panel);
+    if (responseElement) {
+      answerBrands.set(responseElement, brands);
+    }
+  }
+
+  // Brands of the answer whose response contains node, or an empty set
+  function findAnswerBrands(node) {
+    for (let element = node.parentElement; element; element = element.parentElement) {
+      if (answerBrands.has(element)) return answerBrands.get(element);
+    }
+    return new Set();
+  }
+
+  function getBrandPattern() {
+    if (!brandPattern || brandPatternSize !== brandNames.size) {
+      const names = Array.from(brandNames).sort((a, b) => b.length - a.length).map(escapeRegExp);
+      brandPattern = new RegExp(`\\b(${names.join('|')})\\b`, 'gi');
+      brandPatternSize = brandNames.size;
+    }
+    brandPattern.lastIndex = 0;
+    return brandPattern;
+  }
+
+  // Capitalized mentions of the given brands (a Set or Map keyed by lowercase name) only,
+  // so "target" or "delta" as plain words don't count. Shared by badges and cards.
+  function findBrandMatches(text, brands) {
+    const pattern = getBrandPattern();
+    const matches = [];
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      if (/^[A-Z0-9]/.test(match[0]) && brands.has(match[0].toLowerCase())) {
+        matches.push({ name: match[0], index: match.index, end: match.index + match[0].length });
+      }
+    }
+    return matches;
+  }
+
+  async function fetchBrandCard(name) {
+    if (!api.circuit.open) {
+      try {
+        const response = await api.sendMessage({ type: 'hxBrand', name });
+        const data = response?.ok ? response.data : null;
+        if (data && typeof data.score === 'number') {
+          return {
+            name: data.brand || name,
+            industry: data.industry || null,
+            score: data.score,
+            reviews: data.reviews,
+            pros: Array.isArray(data.pros) ? data.pros : [],
+            cons: Array.isArray(data.cons) ? data.cons : [],
+            drivers: Array.isArray(data.drivers) ? data.drivers : [],
+            offline: false
+          };
+        }
+        debugLog('⚠️ No brand details from API, trying brands.json:', response?.error || name);
+      } catch (error) {
+        debugLog('⚠️ Brand request failed, trying brands.json:', error);
+      }
+    }
+
+    const brand = brandCatalog.get(name.toLowerCase());
+    if (!brand || typeof brand.score !== 'number') {
+      return null;
+    }
+    return {
+      name: brand.display,
+      industry: null,
+      score: brand.score,
+      reviews: brand.reviews,
+      pros: brand.pros || [],
+      cons: brand.cons || [],
+      drivers: [],
+      offline: true
+    };
+  }
+
+  // One API request per brand per conversation. Misses and brands.json fallbacks are only
+  // shared while in flight, so a later hover can still get live data.
+  function loadBrandCard(name) {
+    const key = name.toLowerCase();
+    if (!brandCards.has(key)) {
+      const request = fetchBrandCard(name);
+      brandCards.set(key, request);
+      request.then(card => {
+        if ((!card || card.offline) && brandCards.get(key) === request) {
+          brandCards.delete(key);
+        }
+      });
+    }
+    return brandCards.get(key);
+  }
+
+  function getBrandCardElement() {
+    if (!brandCardElement) {
+      brandCardElement = document.createElement('div');
+      brandCardElement.className = 'hx-go-tooltip hx-brand-card';
+      brandCardElement.setAttribute('role', 'tooltip');
+      document.body.appendChild(brandCardElement);
+    }
+    return brandCardElement;
+  }
+
+  function appendCardElement(parent, tag, className, text) {
+    const element = document.createElement(tag);
+    element.className = className;
+    element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  }
+
+  // Built with the DOM since names, pros and cons come from the API
+  function renderBrandCard(card) {
+    const element = getBrandCardElement();
+    element.replaceChildren();
+
+    const header = appendCardElement(element, 'div', 'hx-brand-card-header', '');
+    appendCardElement(header, 'span', 'hx-brand-card-name', card.name);
+    appendCardElement(header, 'span', 'hx-go-badge', `GO ${card.score}`);
+
+    const meta = [];
+    if (typeof card.reviews === 'number') meta.push(`${card.reviews.toLocaleString()} verified reviews`);
+    if (card.industry) meta.push(card.industry);
+    if (meta.length > 0) {
+      appendCardElement(element, 'div', 'hx-brand-card-meta', meta.join(' · '));
+    }
+
+    card.drivers.forEach(driver => {
+      const highlight = [driver.name, driver.performance, driver.leader ? 'industry leader' : null].filter(Boolean).join(' · ');
+      appendCardElement(element, 'div', 'hx-brand-card-driver', `★ ${highlight}`);
+    });
+
+    const pros = card.pros.slice(0, BRAND_CARD_MAX_ITEMS);
+    const cons = card.cons.slice(0, BRAND_CARD_MAX_ITEMS);
+    if (pros.length > 0 || cons.length > 0) {
+      const list = appendCardElement(element, 'ul', 'hx-go-pros-cons', '');
+      pros.forEach(pro => appendCardElement(list, 'li', 'pro', pro));
+      cons.forEach(con => appendCardElement(list, 'li', 'con', con));
+    }
+
+    if (card.offline) {
+      appendCardElement(element, 'div', 'hx-brand-card-note', 'Offline data - HundredX API unavailable');
+    }
+  }
+
+  // Below the brand, or above it near the bottom of the viewport
+  function positionBrandCard(rect) {
+    const element = getBrandCardElement();
+    const left = Math.min(Math.max(rect.left, BRAND_CARD_OFFSET), window.innerWidth - element.offsetWidth - BRAND_CARD_OFFSET);
+    const below = rect.bottom + BRAND_CARD_OFFSET;
+    const top = below + element.offsetHeight > window.innerHeight
+      ? rect.top - element.offsetHeight - BRAND_CARD_OFFSET
+      : below;
+    element.style.left = `${Math.max(left, BRAND_CARD_OFFSET)}px`;
+    element.style.top = `${Math.max(top, BRAND_CARD_OFFSET)}px`;
+  }
+
+  async function showBrandCard(name, rect) {
+    const key = name.toLowerCase();
+    if (hoveredBrand === key) {
+      return;
+    }
+    hoveredBrand = key;
+
+    const element = getBrandCardElement();
+    element.replaceChildren();
+    appendCardElement(element, 'div', 'hx-brand-card-meta', `Loading HundredX data for ${name}...`);
+    positionBrandCard(rect);
+    element.classList.add('hx-open');
+
+    const card = await loadBrandCard(name);
+    if (hoveredBrand !== key) {
+      return;
+    }
+    if (!card) {
+      // Stay "hovered" so moving within the name doesn't ask again
+      element.classList.remove('hx-open');
+      return;
+    }
+    renderBrandCard(card);
+    positionBrandCard(rect);
+    debugLog(`🏷️ Brand card for ${card.name}${card.offline ? ' (brands.json)' : ''}`);
+  }
+
+  function hideBrandCard() {
+    hoveredBrand = null;
+    brandCardElement?.classList.remove('hx-open');
+  }
+
+  // The badge or answer brand under the pointer in an AI response, with its rect
+  function findBrandAtPoint(target, x, y) {
+    const badge = target.closest('.hx-brand-badge');
+    if (badge) {
+      return { name: badge.dataset.hxBrand, rect: badge.getBoundingClientRect() };
+    }
+    if (!target.closest('.hx-response-container') || !document.caretRangeFromPoint) {
+      return null;
+    }
+
+    const caret = document.caretRangeFromPoint(x, y);
+    const node = caret?.startContainer;
+    if (node?.nodeType !== Node.TEXT_NODE || node.parentElement?.closest('pre, code')) {
+      return null;
+    }
+    const match = findBrandMatches(node.nodeValue, findAnswerBrands(node))
+      .find(m => m.index <= caret.startOffset && caret.startOffset <= m.end);
+    if (!match) {
+      return null;
+    }
+
+    // The caret snaps to the nearest text, so check the pointer is really over the name
+    const range = document.createRange();
+    range.setStart(node, match.index);
+    range.setEnd(node, match.end);
+    const rect = Array.from(range.getClientRects())
+      .find(r => x >= r.left && x <= r.right && y >= r.top && y <= r.bottom);
+    return rect ? { name: match.name, rect } : null;
+  }
+
+  function onBrandHoverMove(event) {
+    const { target, clientX, clientY } = event;
+    // Panels handle their own mentions (events from inside them are retargeted to the host)
+    if (brandHoverFrame || !(target instanceof Element) || target.closest('.hx-panel-host')) {
+      return;
+    }
+
+    brandHoverFrame = requestAnimationFrame(() => {
+      brandHoverFrame = null;
+      const hit = findBrandAtPoint(target, clientX, clientY);
+      if (hit) {
+        showBrandCard(hit.name, hit.rect);
+      } else if (hoveredBrand) {
+        hideBrandCard();
+      }
+    });
+  }
+
+  // The answer's brands in a panel's rendered answer get hover cards
+  function wrapBrandMentions(container, brands) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.parentElement?.closest('a, pre, code, button, .hx-brand-mention')
+        ? NodeFilter.FILTER_REJECT
+        : NodeFilter.FILTER_ACCEPT
+    });
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+    textNodes.forEach(node => {
+      const matches = findBrandMatches(node.nodeValue, brands);
+      if (matches.length === 0) return;
+
+      const fragment = document.createDocumentFragment();
+      let lastIndex = 0;
+      matches.forEach(match => {
+        fragment.append(node.nodeValue.slice(lastIndex, match.index));
+        const mention = document.createElement('span');
+        mention.className = 'hx-brand-mention';
+        mention.dataset.hxBrand = match.name;
+        mention.textContent = match.name;
+        fragment.append(mention);
+        lastIndex = match.end;
+      });
+      fragment.append(node.nodeValue.slice(lastIndex));
+      node.replaceWith(fragment);
+    });
+  }
+
+  function setupBrandHoverCards() {
+    document.addEventListener('mousemove', onBrandHoverMove, { passive: true });
+    window.addEventListener('scroll', hideBrandCard, { capture: true, passive: true });
   }
 
   // Process query immediately when user submits (parallel with Claude)
@@ -981,9 +2489,11 @@
     }
 
     // Check if already in cache or being processed
-    if (queryCache.has(query)) {
+    const options = buildAnswerOptions(null, query, settings);
+    const cacheKey = getQueryCacheKey(query, options?.context);
+    if (queryCache.has(cacheKey)) {
       debugLog('🔄 Query already being processed or cached');
-      return queryCache.get(query);
+      return queryCache.get(cacheKey);
     }
 
     // DEMO MODE INTERCEPT: Check if query matches a demo question
@@ -1005,7 +2515,8 @@
           timestamp: Date.now()
         };
 
-        queryCache.set(query, cacheEntry);
+        // Demo answers don't depend on the conversation
+        queryCache.set(getQueryCacheKey(query), cacheEntry);
         debugLog('✅ Demo response ready:', demoQuestion.id);
         debugLog('✅ Demo response cached with key:', `"${query}"`);
         debugLog('✅ Cache now has', queryCache.size, 'entries');
@@ -1024,15 +2535,34 @@
       }
     }
 
+    // Fact-checking needs the AI's answer, so the panel asks once the response is complete
+    if (settings.factCheck) {
+      debugLog('🔎 Fact-check mode, leaving the request to the panel');
+      return null;
+    }
+
+    if (!shouldAskApi(query, settings, options?.context)) {
+      return null;
+    }
+
     // Normal flow: Start API call immediately
-    const apiPromise = api.processQuery(query);
+    // Panels created before it finishes subscribe to its progress via listeners
     const cacheEntry = {
-      promise: apiPromise,
+      promise: null,
       result: null,
+      progress: null,
+      listeners: new Set(),
+      controller: new AbortController(),
       timestamp: Date.now()
     };
-
-    queryCache.set(query, cacheEntry);
+    // The user just asked this, so it goes ahead of history in the background queue
+    const apiPromise = api.processQuery(query, (progress) => {
+      cacheEntry.progress = progress;
+      cacheEntry.listeners.forEach(listener => listener(progress));
+    }, cacheEntry.controller.signal, REQUEST_PRIORITY.visible, options);
+    cacheEntry.promise = apiPromise;
+
+    queryCache.set(cacheKey, cacheEntry);
     debugLog('✅ Started early API call for query:', query);
 
     try {
@@ -1052,16 +2582,27 @@
     }
   }
 
-  // API client with enhanced error handling
+  // Background queue order when more answers are requested than it runs at once
+  const REQUEST_PRIORITY = { history: 0, newest: 1, visible: 2 };
+
+  const CIRCUIT_FAILURE_THRESHOLD = 3; // Consecutive failed answers before the circuit opens
+  const CIRCUIT_PROBE_INTERVAL = 30000; // How often /api/health is probed while open
+  const CIRCUIT_FAILURE_TYPES = ['network', 'timeout', 'server']; // Errors that mean the backend is down
+
+  // API client - all HundredX traffic goes through the background service worker,
+  // which owns the fetches, retries and the cache shared across tabs.
+  // A circuit breaker stops sending answers to a backend that keeps failing: it opens after
+  // CIRCUIT_FAILURE_THRESHOLD consecutive failures (or a failed health check at startup),
+  // answers 'degraded' without a request while open, and closes once /api/health is healthy.
   class HundredXAPI {
     constructor() {
-      this.timeout = 1200000; // 20 minute timeout (API can take 15+ minutes)
-      this.maxRetries = 2;
       this.defaultSettings = {
         extensionEnabled: true,
         template_id: '3_tier_consumer_friendly_locked_v3', // API default
         enable_web_search: false
       };
+      this.circuit = { open: false, failures: 0, probeTimer: null };
+      this.circuitListeners = new Set();
     }
 
     // Get user settings from Chrome storage
@@ -1075,117 +2616,159 @@
       }
     }
 
-    async processQuery(query, retryCount = 0) {
-      const apiUrl = `${API_BASE_URL}/api/answer`;
-      debugLog(`🌐 API CALL: ${apiUrl}`, query, `(attempt ${retryCount + 1})`);
-
-      try {
-        // Load user settings from storage
-        const settings = await this.getSettings();
-        debugLog('📋 Using settings:', settings);
-
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), this.timeout);
-
-        // Prepare request body with settings (backward compatible)
-        const requestBody = {
-          query,
-          template_id: settings.template_id || settings.narrativeStyle || this.defaultSettings.template_id,
-          enable_web_search: settings.enable_web_search !== undefined
-            ? settings.enable_web_search
-            : (settings.webSearchEnabled !== undefined ? settings.webSearchEnabled : this.defaultSettings.enable_web_search)
-        };
+    // Send a request to the background service worker
+    async sendMessage(message) {
+      return chrome.runtime.sendMessage(message);
+    }
 
-        const response = await fetch(apiUrl, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-          },
-          body: JSON.stringify(requestBody),
-          signal: controller.signal
-        });
+    // Talks over a port so onProgress({ stage, answer }) can show job stages and
+    // render the answer as it arrives. Aborting signal disconnects the port, which
+    // cancels the request in the background once no other tab is waiting on it.
+    // priority (REQUEST_PRIORITY) orders the request in the background's queue; options
+    // (buildAnswerOptions) carry conversation context and the response to fact-check.
+    async processQuery(query, onProgress = null, signal = null, priority = REQUEST_PRIORITY.newest, options = null) {
+      debugLog('🌐 API CALL via background:', query);
 
-        debugLog(`📡 API RESPONSE: Status ${response.status} from ${response.url}`);
+      if (signal?.aborted) {
+        return this.createErrorResult('cancelled', 'Request cancelled');
+      }
 
-        clearTimeout(timeoutId);
+      if (this.circuit.open) {
+        debugLog('🚧 Circuit open, not sending query:', query);
+        return this.createErrorResult('degraded', 'HundredX service degraded');
+      }
 
-        if (!response.ok) {
-          if (response.status >= 500) {
-            throw new Error('SERVER_ERROR');
-          } else if (response.status === 404) {
-            throw new Error('ENDPOINT_NOT_FOUND');
-          } else {
-            throw new Error(`HTTP_${response.status}`);
-          }
-        }
+      askedQueries.add(query);
+      try {
+        const result = await new Promise((resolve, reject) => {
+          const port = chrome.runtime.connect({ name: 'hxAnswerStream' });
+          let settled = false;
+
+          port.onMessage.addListener((message) => {
+            if (message.type === 'progress') {
+              onProgress?.(message.progress);
+            } else if (message.type === 'result') {
+              settled = true;
+              port.disconnect();
+              resolve(message.result);
+            }
+          });
+          port.onDisconnect.addListener(() => {
+            if (!settled) reject(new Error('Background service worker disconnected'));
+          });
+          signal?.addEventListener('abort', () => {
+            if (settled) return;
+            settled = true;
+            port.disconnect();
+            debugLog('🛑 API call cancelled:', query);
+            resolve(this.createErrorResult('cancelled', 'Request cancelled'));
+          }, { once: true });
+
+          port.postMessage({ type: 'hxAnswer', query, priority, options });
+        });
 
-        const result = await response.json();
         debugLog('✅ API RESPONSE DATA:', result);
         debugLog('🔍 Data Source Check:', result.answer?.includes('[HX]') ? 'LIVE API' : 'POSSIBLE MOCK');
-        return { ...result, _errorType: null };
+        this.recordResult(result);
+        return result;
 
       } catch (error) {
-        debugLog('API call failed:', error);
-        
-        // Determine error type for better user messaging
-        let errorType = 'generic';
-        let errorMessage = error.message;
-
-        if (error.name === 'AbortError') {
-          errorType = 'timeout';
-          errorMessage = 'Request timed out';
-        } else if (error.message === 'SERVER_ERROR') {
-          errorType = 'server';
-          errorMessage = 'Server error occurred';
-        } else if (error.message.includes('Failed to fetch') || error.message.includes('NetworkError')) {
-          errorType = 'network';
-          errorMessage = 'Network connection failed';
-        }
-
-        // Retry logic for certain error types
-        if ((errorType === 'timeout' || errorType === 'network') && retryCount < this.maxRetries) {
-          debugLog(`Retrying API call (${retryCount + 1}/${this.maxRetries})`);
-          await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1))); // Exponential backoff
-          return this.processQuery(query, retryCount + 1);
-        }
-
-        return {
-          answer: this.getErrorMessage(errorType),
-          sources: [],
-          metadata: { error: errorMessage, errorType },
-          success: false,
-          error: errorMessage,
-          _errorType: errorType,
-          _retryable: errorType === 'timeout' || errorType === 'network' || errorType === 'server'
-        };
+        // connect() throws when the extension was reloaded under this page
+        debugLog('❌ Background request failed:', error);
+        return this.createErrorResult('generic', error.message);
       }
     }
 
+    createErrorResult(errorType, errorMessage) {
+      return {
+        answer: this.getErrorMessage(errorType),
+        sources: [],
+        metadata: { error: errorMessage, errorType },
+        success: false,
+        error: errorMessage,
+        _errorType: errorType,
+        _retryable: errorType !== 'degraded' // Degraded panels reload on their own
+      };
+    }
+
     getErrorMessage(errorType) {
       const messages = {
         'network': 'Unable to connect to HundredX insights. Please check your internet connection.',
         'timeout': 'HundredX insights are taking longer than expected to load.',
         'server': 'HundredX service is temporarily unavailable. Please try again in a moment.',
+        'cancelled': 'HundredX insights were cancelled.',
+        'auth': 'Sign in to HundredX to see insights.',
+        'malformed': 'HundredX returned a response the extension could not read.',
+        'rate_limited': 'HundredX is receiving too many requests. Please try again in a moment.',
+        'degraded': 'HundredX service is degraded. Insights will load when it recovers.',
         'generic': 'Unable to load HundredX insights at this time.'
       };
       return messages[errorType] || messages.generic;
     }
 
+    // Healthy means the API answers /api/health and its database is connected
     async healthCheck() {
       try {
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), 5000);
-        
-        const response = await fetch(`${API_BASE_URL}/api/health`, {
-          signal: controller.signal
-        });
-        
-        clearTimeout(timeoutId);
-        return response.ok;
+        const health = await this.sendMessage({ type: 'hxHealth' });
+        return Boolean(health?.ok && health.data?.database_connected !== false);
       } catch {
         return false;
       }
     }
+
+    // listener(open) is called whenever the circuit opens or closes
+    onCircuitChange(listener) {
+      this.circuitListeners.add(listener);
+    }
+
+    recordResult(result) {
+      if (result.success && !result._errorType) {
+        this.circuit.failures = 0;
+        return;
+      }
+      if (!CIRCUIT_FAILURE_TYPES.includes(result._errorType)) {
+        return;
+      }
+
+      this.circuit.failures++;
+      debugLog(`🚧 Answer failed (${this.circuit.failures}/${CIRCUIT_FAILURE_THRESHOLD}):`, result._errorType);
+      if (this.circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        this.openCircuit();
+      }
+    }
+
+    openCircuit() {
+      if (this.circuit.open) return;
+
+      console.warn('HundredX: API unavailable, pausing requests until /api/health recovers');
+      this.circuit.open = true;
+      this.scheduleProbe();
+      this.circuitListeners.forEach(listener => listener(true));
+    }
+
+    closeCircuit() {
+      if (!this.circuit.open) return;
+
+      debugLog('🟢 API healthy again, resuming requests');
+      clearTimeout(this.circuit.probeTimer);
+      this.circuit = { open: false, failures: 0, probeTimer: null };
+      this.circuitListeners.forEach(listener => listener(false));
+    }
+
+    scheduleProbe() {
+      clearTimeout(this.circuit.probeTimer);
+      this.circuit.probeTimer = setTimeout(async () => {
+        const isHealthy = await this.healthCheck();
+        debugLog('🩺 Circuit probe:', isHealthy ? 'healthy' : 'unhealthy');
+        if (!this.circuit.open) return;
+
+        if (isHealthy) {
+          this.closeCircuit();
+        } else {
+          this.scheduleProbe();
+        }
+      }, CIRCUIT_PROBE_INTERVAL);
+    }
   }
 
   const api = new HundredXAPI();
@@ -1223,55 +2806,25 @@
       headerLoading.style.display = 'flex';
     }
     
-    // Function to update panel content based on API response
-    const updatePanelContent = (panel, apiResponse) => {
-      const contentDiv = panel.querySelector('.hx-response-content');
-      const statusIndicator = panel.querySelector('.hx-status-indicator');
-      const headerLoading = panel.querySelector('.hx-header-loading');
-      
-      // Progressive Disclosure: Hide loading text, keep status dot
-      if (headerLoading) {
-        headerLoading.style.display = 'none';
-      }
-      
-      if (apiResponse.success && !apiResponse._errorType) {
-        // Success case
-        contentDiv.innerHTML = formatHundredXContent(apiResponse);
-        if (statusIndicator) {
-          statusIndicator.className = 'hx-status-indicator';
-        }
-        debugLog('✅ HundredX panel updated with success content');
-      } else {
-        // Error case  
-        const errorType = apiResponse._errorType || 'generic';
-        const retryable = apiResponse._retryable || false;
-        
-        contentDiv.innerHTML = createErrorContent(errorType, apiResponse.error, retryable);
-        if (statusIndicator) {
-          statusIndicator.className = 'hx-status-indicator error';
-        }
-        debugLog('❌ HundredX panel updated with error content:', errorType);
-      }
-      
-      // Trigger content animation
-      setTimeout(() => {
-        panel.classList.add('hx-content-loaded');
-        debugLog('🎬 Content animation triggered');
-      }, 300);
-    };
-    
-    // Make API call
+    // Make API call, owned by the panel so it can be cancelled
+    const panel = currentPanel;
+    const controller = beginPanelRequest(panel);
     try {
-      const apiResponse = await api.processQuery(currentQuery);
-      updatePanelContent(currentPanel, apiResponse);
+      const query = currentQuery;
+      const options = buildAnswerOptions(panel, query, await api.getSettings());
+      const apiResponse = await api.processQuery(query, createProgressRenderer(panel, query), controller.signal,
+        REQUEST_PRIORITY.visible, options);
+      updatePanelContent(panel, apiResponse);
     } catch (error) {
       debugLog('❌ Retry failed:', error);
-      updatePanelContent(currentPanel, {
+      updatePanelContent(panel, {
         success: false,
         _errorType: 'generic',
         error: 'Retry failed: ' + error.message,
         _retryable: true
       });
+    } finally {
+      endPanelRequest(panel, controller);
     }
   };
   
@@ -1282,7 +2835,9 @@
     }
 
     debugLog('❌ Dismissing HundredX panel');
-    const container = currentPanel.closest('.hx-response-container');
+    cancelPanelRequest(currentPanel);
+    removeBrandBadges(currentPanel);
+    const container = getPanelHost(currentPanel).closest('.hx-response-container');
     if (container) {
       container.style.opacity = '0';
       container.style.transform = 'translateY(-10px)';
@@ -1290,12 +2845,100 @@
     }
   };
 
+  // Start a request owned by a panel, cancelling any request it already had
+  function beginPanelRequest(panel) {
+    cancelPanelRequest(panel);
+    const controller = new AbortController();
+    panelRequests.set(panel, controller);
+    return controller;
+  }
+
+  function endPanelRequest(panel, controller) {
+    if (panelRequests.get(panel) === controller) {
+      panelRequests.delete(panel);
+    }
+  }
+
+  function cancelPanelRequest(panel) {
+    const controller = panelRequests.get(panel);
+    if (!controller) {
+      return false;
+    }
+    debugLog('🛑 Cancelling panel request:', panel.dataset.hxQuery);
+    panelRequests.delete(panel);
+    controller.abort();
+    return true;
+  }
+
+  // Cancel every in-flight request, including early processing nobody has picked up yet
+  function cancelAllRequests() {
+    Array.from(panelRequests.keys()).forEach(cancelPanelRequest);
+    for (const [key, entry] of queryCache.entries()) {
+      cancelQueryCacheEntry(key, entry);
+    }
+  }
+
+  // Panels removed from the page (by us or by the site) no longer need their answer
+  function cancelDetachedPanelRequests() {
+    for (const panel of Array.from(panelRequests.keys())) {
+      if (!getPanelHost(panel).isConnected) {
+        cancelPanelRequest(panel);
+      }
+    }
+  }
+
+  function cancelQueryCacheEntry(key, entry) {
+    if (entry.result || !entry.controller) {
+      return;
+    }
+    entry.controller.abort();
+    if (queryCache.get(key) === entry) {
+      queryCache.delete(key);
+    }
+  }
+
+  // Resolves when signal aborts (for racing against promises that can't be cancelled)
+  function whenAborted(signal) {
+    return new Promise(resolve => {
+      if (signal.aborted) {
+        resolve();
+      } else {
+        signal.addEventListener('abort', resolve, { once: true });
+      }
+    });
+  }
+
   // Function to update panel content based on API response
+  // Partial responses ({ _partial: true, _stage }) show the job stage or the streamed answer so far
+  // and keep the loading state
   function updatePanelContent(panel, apiResponse) {
     const contentDiv = panel.querySelector('.hx-response-content');
     const statusIndicator = panel.querySelector('.hx-status-indicator');
     const headerLoading = panel.querySelector('.hx-header-loading');
-    
+    const headerLoadingText = panel.querySelector('.hx-header-loading-text');
+
+    if (apiResponse._partial) {
+      if (apiResponse.answer) {
+        contentDiv.innerHTML = formatHundredXContent(apiResponse);
+        panel.classList.add('hx-streaming');
+      }
+      if (headerLoadingText) {
+        headerLoadingText.textContent = apiResponse.answer ? 'Streaming insights...' : formatJobStage(apiResponse._stage);
+      }
+      return;
+    }
+
+    panel.classList.remove('hx-streaming');
+    if (headerLoadingText) {
+      headerLoadingText.textContent = 'Loading insights...';
+    }
+
+    if (apiResponse._errorType === 'degraded') {
+      degradedPanels.add(panel);
+    } else {
+      degradedPanels.delete(panel);
+    }
+
     // Progressive Disclosure: Hide loading text, keep status dot
     if (headerLoading) {
       headerLoading.style.display = 'none';
@@ -1304,6 +2947,14 @@
     if (apiResponse.success && !apiResponse._errorType) {
       // Success case
       contentDiv.innerHTML = formatHundredXContent(apiResponse);
+      appendFactCheck(contentDiv, apiResponse);
+      appendRawPayloadView(contentDiv, apiResponse);
+      rememberAnswerContext(panel.dataset.hxQuery, apiResponse);
+      const brands = getAnswerBrands(apiResponse);
+      rememberAnswerBrands(panel, brands);
+      wrapBrandMentions(contentDiv, brands);
+      panelAnswers.set(panel, apiResponse);
+      annotateBrandBadges(panel, apiResponse);
       if (statusIndicator) {
         statusIndicator.className = 'hx-status-indicator';
       }
@@ -1314,6 +2965,7 @@
       const retryable = apiResponse._retryable || false;
       
       contentDiv.innerHTML = createErrorContent(errorType, apiResponse.error, retryable);
+      appendRawPayloadView(contentDiv, apiResponse);
       if (statusIndicator) {
         statusIndicator.className = 'hx-status-indicator error';
       }
@@ -1327,13 +2979,77 @@
     }, 300);
   }
 
-  // Extract query using vendor adapter
-  function extractQueryFromContext(responseElement) {
+  // Collapsible view of the API payload behind a malformed or normalized response
+  // (background.js attaches _rawPayload only when the payload didn't match the schema)
+  function appendRawPayloadView(contentDiv, apiResponse) {
+    if (!apiResponse._rawPayload) return;
+
+    const details = document.createElement('details');
+    details.className = 'hx-raw-payload';
+
+    const summary = document.createElement('summary');
+    const problems = apiResponse._schemaProblems || [];
+    summary.textContent = problems.length > 0
+      ? `Raw response (${problems.length} schema ${problems.length === 1 ? 'issue' : 'issues'})`
+      : 'Raw response';
+    summary.title = problems.join('\n') || apiResponse.error || '';
+
+    const pre = document.createElement('pre');
+    pre.textContent = apiResponse._rawPayload;
+
+    details.appendChild(summary);
+    details.appendChild(pre);
+    contentDiv.appendChild(details);
+  }
+
+  const PARTIAL_RENDER_INTERVAL = 50; // ms between progressive re-renders
+
+  // Stages reported by the background itself rather than the job API
+  const STAGE_LABELS = {
+    queued: 'Waiting in queue...',
+    rate_limited: 'Rate limited, retrying shortly...'
+  };
+
+  // Header loading text for a job stage, e.g. 'analyzing_reviews' -> 'Analyzing reviews...'
+  function formatJobStage(stage) {
+    if (!stage) {
+      return 'Loading insights...';
+    }
+    if (STAGE_LABELS[stage]) {
+      return STAGE_LABELS[stage];
+    }
+    const label = String(stage).replace(/[_-]+/g, ' ').trim();
+    return `${label.charAt(0).toUpperCase()}${label.slice(1)}...`;
+  }
+
+  // Progress callback for api.processQuery that shows the job stage and renders the
+  // streamed answer into a panel. Answer renders are throttled because every chunk
+  // re-parses the markdown; the final result always renders.
+  function createProgressRenderer(panel, query) {
+    let lastRender = 0;
+    return ({ stage, answer } = {}) => {
+      const now = Date.now();
+      if (panel.dataset.hxQuery !== query || (answer && now - lastRender < PARTIAL_RENDER_INTERVAL)) {
+        return;
+      }
+      lastRender = now;
+      updatePanelContent(panel, {
+        answer,
+        metadata: { enriched: true },
+        success: true,
+        _partial: true,
+        _stage: stage
+      });
+    };
+  }
+
+  // Find the conversation turn (and its user query) for a response using the vendor adapter
+  function getTurnForResponse(responseElement) {
     if (!vendorAdapter) {
       debugLog('❌ No vendor adapter available');
       return null;
     }
-    return vendorAdapter.extractQuery(responseElement);
+    return vendorAdapter.getTurnForResponse(responseElement);
   }
 
   // Create simple loading content
@@ -1367,6 +3083,31 @@
         message: 'HundredX insights are temporarily unavailable. We\'ll be back shortly.',
         icon: '🔧'
       },
+      'cancelled': {
+        title: 'Cancelled',
+        message: 'Loading HundredX insights was cancelled.',
+        icon: '⏹️'
+      },
+      'auth': {
+        title: 'Sign in required',
+        message: 'Add your HundredX API key in the extension settings (click the HundredX icon in the toolbar), then try again.',
+        icon: '🔑'
+      },
+      'degraded': {
+        title: 'Service Degraded',
+        message: 'HundredX is having trouble right now. Insights will load here automatically when it recovers.',
+        icon: '🩺'
+      },
+      'rate_limited': {
+        title: 'Too Many Requests',
+        message: 'HundredX is limiting requests right now. Please try again in a moment.',
+        icon: '🚦'
+      },
+      'malformed': {
+        title: 'Unexpected Response',
+        message: 'HundredX sent a response this version of the extension can\'t read. Try again, or check the raw response below.',
+        icon: '🧩'
+      },
       'generic': {
         title: 'Something went wrong',
         message: message || 'Unable to load HundredX insights at this time.',
@@ -1383,11 +3124,11 @@
         <div class="hx-error-message">${error.message}</div>
         <div class="hx-error-actions">
           ${retryCallback ? `
-            <button class="hx-retry-button" onclick="window.hxRetry()">
+            <button class="hx-retry-button" data-hx-action="retry">
               <span class="retry-text">Try Again</span>
             </button>
           ` : ''}
-          <button class="hx-dismiss-button" onclick="window.hxDismiss()">
+          <button class="hx-dismiss-button" data-hx-action="dismiss">
             Dismiss
           </button>
         </div>
@@ -1395,11 +3136,136 @@
     `;
   }
 
+  // ============================================================================
+  // SHADOW DOM
+  // ============================================================================
+
+  // Create a light-DOM host with a shadow root styled only by panel.css
+  function createShadowHost(className) {
+    const host = document.createElement('div');
+    host.className = className;
+    const root = host.attachShadow({ mode: 'open' });
+
+    const stylesheet = document.createElement('link');
+    stylesheet.rel = 'stylesheet';
+    stylesheet.href = SHADOW_STYLESHEET_URL;
+
+    // Hide until the stylesheet loads so an unstyled panel never flashes
+    host.style.visibility = 'hidden';
+    const reveal = () => host.style.removeProperty('visibility');
+    stylesheet.addEventListener('load', reveal);
+    stylesheet.addEventListener('error', reveal);
+
+    root.appendChild(stylesheet);
+    return { host, root };
+  }
+
+  // The light-DOM element that adapters inject next to the AI response
+  function getPanelHost(panel) {
+    return panel.getRootNode().host;
+  }
+
+  // Route clicks on panel buttons (inline onclick handlers can't reach the content script)
+  function handlePanelAction(panel, action, element = null) {
+    currentPanel = panel;
+    currentQuery = panel.dataset.hxQuery || currentQuery;
+
+    if (action === 'retry') {
+      window.hxRetry();
+    } else if (action === 'cancel') {
+      cancelPanelRequest(panel);
+    } else if (action === 'dismiss') {
+      window.hxDismiss();
+    } else if (action === 'toggle-drawer') {
+      const isOpen = panel.classList.toggle('hx-drawer-open');
+      const toggle = panel.querySelector('.hx-drawer-toggle');
+      toggle.setAttribute('aria-expanded', String(isOpen));
+      toggle.setAttribute('aria-label', isOpen ? 'Hide HundredX insights' : 'Show HundredX insights');
+    } else if (action === 'scroll-claim') {
+      scrollToClaim(panel, element.dataset.hxQuote);
+    }
+  }
+
+  // ============================================================================
+  // PANEL LAYOUT
+  // ============================================================================
+
+  // side-by-side: panel next to the response (default)
+  // stacked: panel below the response
+  // drawer: stacked, collapsed to its header until opened
+  // sidebar: floating on the right edge, showing the latest panel
+  const PANEL_LAYOUTS = ['side-by-side', 'stacked', 'drawer', 'sidebar'];
+  const DEFAULT_PANEL_LAYOUT = 'side-by-side';
+
+  let currentPanelLayout = DEFAULT_PANEL_LAYOUT;
+
+  // Resolve this vendor's layout from settings ({ panelLayouts: { claude: 'stacked', ... } })
+  function getPanelLayoutFromSettings(settings) {
+    const layout = settings?.panelLayouts?.[vendorAdapter.key];
+    return PANEL_LAYOUTS.includes(layout) ? layout : DEFAULT_PANEL_LAYOUT;
+  }
+
+  // Apply a layout to one container and its panel host
+  function applyLayoutToContainer(container, layout) {
+    PANEL_LAYOUTS.forEach(name => container.classList.toggle(`hx-layout-${name}`, name === layout));
+
+    const host = container.querySelector(':scope > .hx-panel-host');
+    if (host) {
+      PANEL_LAYOUTS.forEach(name => host.classList.toggle(`hx-layout-${name}`, name === layout));
+    }
+  }
+
+  // Apply the current layout to every panel on the page
+  function applyPanelLayout() {
+    const containers = Array.from(document.querySelectorAll('.hx-response-container'));
+    containers.forEach(container => applyLayoutToContainer(container, currentPanelLayout));
+
+    // Sidebar shows one panel at a time: the latest in the conversation
+    const hosts = containers
+      .map(container => container.querySelector(':scope > .hx-panel-host'))
+      .filter(Boolean);
+    hosts.forEach((host, i) => {
+      host.classList.toggle('hx-sidebar-active', currentPanelLayout === 'sidebar' && i === hosts.length - 1);
+    });
+
+    debugLog(`🪟 Applied ${currentPanelLayout} layout to ${containers.length} panels`);
+  }
+
+  // Load layout setting from storage
+  async function loadPanelLayout() {
+    const settings = await api.getSettings();
+    currentPanelLayout = getPanelLayoutFromSettings(settings);
+    debugLog('📋 Panel layout loaded:', currentPanelLayout);
+  }
+
   // Create HundredX response panel
+  // Returns the panel inside its shadow root; inject getPanelHost(panel) into the page
   function createHundredXPanel() {
     debugLog('Creating HundredX panel');
+    const { root } = createShadowHost('hx-panel-host');
     const panel = document.createElement('div');
     panel.className = 'hx-response-panel';
+    root.appendChild(panel);
+
+    root.addEventListener('click', (event) => {
+      const actionButton = event.target.closest('[data-hx-action]');
+      if (actionButton) {
+        handlePanelAction(panel, actionButton.dataset.hxAction, actionButton);
+      }
+    });
+
+    // Brand hover cards for mentions in the answer (wrapBrandMentions)
+    root.addEventListener('mouseover', (event) => {
+      const mention = event.target.closest('.hx-brand-mention');
+      if (mention) {
+        showBrandCard(mention.dataset.hxBrand, mention.getBoundingClientRect());
+      }
+    });
+    root.addEventListener('mouseout', (event) => {
+      if (event.target.closest('.hx-brand-mention')) {
+        hideBrandCard();
+      }
+    });
     
     const header = document.createElement('div');
     header.className = 'hx-response-header';
@@ -1419,14 +3285,24 @@
     loadingIndicator.innerHTML = `
       <div class="hx-header-spinner"></div>
       <span class="hx-header-loading-text">Loading insights...</span>
+      <button class="hx-cancel-button" data-hx-action="cancel" aria-label="Cancel loading HundredX insights">Cancel</button>
     `;
     
     // Create status indicator
     const statusIndicator = document.createElement('div');
     statusIndicator.className = 'hx-status-indicator loading';
     
+    // Drawer toggle (only shown in the collapsible drawer layout)
+    const drawerToggle = document.createElement('button');
+    drawerToggle.className = 'hx-drawer-toggle';
+    drawerToggle.dataset.hxAction = 'toggle-drawer';
+    drawerToggle.setAttribute('aria-expanded', 'false');
+    drawerToggle.setAttribute('aria-label', 'Show HundredX insights');
+    drawerToggle.textContent = '▾';
+
     statusArea.appendChild(loadingIndicator);
     statusArea.appendChild(statusIndicator);
+    statusArea.appendChild(drawerToggle);
     
     header.appendChild(title);
     header.appendChild(statusArea);
@@ -1501,6 +3377,7 @@
     const hasSourceInAnswer = formattedContent.toLowerCase().includes('source:');
     const hasValidSource = apiResponse.sources && 
                           apiResponse.sources.length > 0 && 
+                          apiResponse.sources[0].description &&
                           !apiResponse.sources[0].description.includes('0 customer feedback responses');
     
     if (hasValidSource && !hasSourceInAnswer) {
@@ -1551,6 +3428,177 @@
     return isSubstantial;
   }
 
+  // Fill a panel with the HundredX answer for a query, from cache or a new API call
+  // On-screen panels first, then the newest turn, then the rest of a long conversation
+  function getRequestPriority(panel) {
+    const host = getPanelHost(panel);
+    const rect = host.getBoundingClientRect();
+    if (rect.height > 0 && rect.bottom > 0 && rect.top < window.innerHeight) {
+      return REQUEST_PRIORITY.visible;
+    }
+
+    const hasLaterResponse = findResponses().some(response =>
+      host.compareDocumentPosition(response) & Node.DOCUMENT_POSITION_FOLLOWING);
+    return hasLaterResponse ? REQUEST_PRIORITY.history : REQUEST_PRIORITY.newest;
+  }
+
+  async function populatePanel(panel, query) {
+    const controller = beginPanelRequest(panel);
+    const { signal } = controller;
+
+    try {
+      let apiResponse;
+
+      const options = buildAnswerOptions(panel, query, await api.getSettings());
+      const isDemoQuestion = isDemoModeEnabled && findDemoQuestion(query);
+      const cacheKey = getQueryCacheKey(query, isDemoQuestion ? null : options?.context);
+
+      // Check if we have cached result from early processing
+      debugLog('🔍 Checking cache for query:', `"${query}"`);
+      debugLog('🔍 Cache has query?', queryCache.has(cacheKey));
+      debugLog('🔍 Cache keys:', Array.from(queryCache.keys()));
+
+      // An early API result predates the response, so it can't have fact-checked it
+      if (queryCache.has(cacheKey) && (!options?.fact_check || isDemoQuestion)) {
+        debugLog('🎯 Using cached result from early processing:', query);
+        const cacheEntry = queryCache.get(cacheKey);
+
+        if (cacheEntry.result) {
+          // Result already available
+          apiResponse = cacheEntry.result;
+          debugLog('✅ Using immediate cached result');
+        } else {
+          // Still processing, show progress so far and wait for the rest
+          debugLog('⏳ Waiting for early processing to complete...');
+          const renderProgress = createProgressRenderer(panel, query);
+          if (cacheEntry.progress) {
+            renderProgress(cacheEntry.progress);
+          }
+          cacheEntry.listeners?.add(renderProgress);
+          await Promise.race([cacheEntry.promise, whenAborted(signal)]);
+          cacheEntry.listeners?.delete(renderProgress);
+
+          if (signal.aborted) {
+            // Other panels with the same query may still be waiting on the early request
+            if (!cacheEntry.listeners?.size) {
+              cancelQueryCacheEntry(cacheKey, cacheEntry);
+            }
+            apiResponse = api.createErrorResult('cancelled', 'Request cancelled');
+          } else {
+            apiResponse = cacheEntry.result;
+            debugLog('✅ Early processing completed, using result');
+          }
+        }
+      } else {
+        // No cache, make API call now (fallback)
+        debugLog('🔄 No cached result, making API call now...');
+        await Promise.race([new Promise(resolve => setTimeout(resolve, 2000)), whenAborted(signal)]); // Small delay for loading UI
+        apiResponse = await api.processQuery(query, createProgressRenderer(panel, query), signal,
+          getRequestPriority(panel), options);
+        debugLog('✅ Direct API call completed');
+      }
+
+      // The panel may have been refreshed with a different query while we waited
+      if (panel.dataset.hxQuery !== query) {
+        debugLog('⏭️ Panel query changed while loading, discarding result for:', query);
+        return;
+      }
+
+      updatePanelContent(panel, apiResponse);
+      debugLog('✅ HundredX panel created and populated');
+
+    } catch (error) {
+      debugLog('❌ Unexpected error in panel processing:', error);
+      updatePanelContent(panel, {
+        success: false,
+        _errorType: 'generic',
+        error: error.message,
+        _retryable: true
+      });
+    } finally {
+      endPanelRequest(panel, controller);
+    }
+  }
+
+  // Put a panel back into its header loading state
+  function showPanelLoading(panel) {
+    const contentDiv = panel.querySelector('.hx-response-content');
+    const statusIndicator = panel.querySelector('.hx-status-indicator');
+    const headerLoading = panel.querySelector('.hx-header-loading');
+
+    // The badges belonged to the answer being replaced
+    removeBrandBadges(panel);
+    panelAnswers.delete(panel);
+    panel.classList.remove('hx-content-loaded', 'hx-streaming');
+    contentDiv.innerHTML = '';
+    if (statusIndicator) {
+      statusIndicator.className = 'hx-status-indicator loading';
+    }
+    if (headerLoading) {
+      headerLoading.style.display = 'flex';
+    }
+  }
+
+  // Move a turn's existing panel next to the response that replaced the original
+  function reattachTurnPanel(record, responseElement) {
+    const host = getPanelHost(record.panel);
+    if (record.responseElement === responseElement && host.isConnected) {
+      return;
+    }
+
+    removeBrandBadges(record.panel);
+    const oldContainer = host.parentElement;
+    host.remove();
+    if (oldContainer?.classList.contains('hx-response-container')) {
+      unwrapResponseContainer(oldContainer);
+    }
+
+    vendorAdapter.injectPanel(responseElement, host);
+    applyPanelLayout();
+    record.responseElement = responseElement;
+    panelResponses.set(record.panel, responseElement);
+    const apiResponse = panelAnswers.get(record.panel);
+    if (apiResponse) {
+      rememberAnswerBrands(record.panel, getAnswerBrands(apiResponse));
+      annotateBrandBadges(record.panel, apiResponse);
+    }
+    debugLog('🔁 Panel re-attached to replacement response');
+  }
+
+  // The user's query for a turn changed (edited message), or the fact-checked response was
+  // regenerated - fetch insights again
+  function refreshTurnPanel(record, query) {
+    debugLog('✏️ Turn changed, refreshing panel:', `"${record.query}" → "${query}"`);
+    record.query = query;
+    record.panel.dataset.hxQuery = query;
+    showPanelLoading(record.panel);
+
+    currentQuery = query;
+    currentPanel = record.panel;
+
+    const timing = vendorAdapter.getTimingConfig();
+    setTimeout(() => populatePanel(record.panel, query), timing.processingDelay);
+  }
+
+  // The API recovered - drop degraded results and load insights into the panels that showed them
+  function resumeDegradedPanels() {
+    for (const [key, entry] of queryCache.entries()) {
+      if (entry.result?._errorType === 'degraded') {
+        queryCache.delete(key);
+      }
+    }
+
+    degradedPanels.forEach(panel => {
+      degradedPanels.delete(panel);
+      const query = panel.dataset.hxQuery;
+      if (!query || !getPanelHost(panel).isConnected) return;
+
+      debugLog('🔄 Reloading degraded panel:', query);
+      showPanelLoading(panel);
+      populatePanel(panel, query);
+    });
+  }
+
   // Process an AI response and add HundredX panel (vendor-agnostic)
   async function processResponse(responseElement) {
     if (!vendorAdapter) {
@@ -1586,18 +3634,37 @@
       return;
     }
 
-    // Extract the user query using vendor adapter
-    const query = extractQueryFromContext(responseElement);
-    if (!query) {
-      debugLog('❌ Could not extract query from context');
+    // Pair the response with its own user query via the conversation turn
+    const turn = getTurnForResponse(responseElement);
+    if (!turn) {
+      debugLog('❌ Could not find conversation turn for response');
       return;
     }
+    const query = turn.queryText;
 
     debugLog('✅ Extracted query:', `"${query}"`);
     debugLog('✅ Extracted query length:', query.length);
 
+    // A new response for a turn that already has a panel is a regenerate or edit
+    const existingTurn = turn.unpaired ? null : turnPanels.get(turn.id);
+    if (existingTurn) {
+      debugLog(`🔁 Turn ${turn.id} already has a panel, re-associating`);
+      processedQueryContexts.add(createQueryContext(turn));
+      reattachTurnPanel(existingTurn, responseElement);
+      if (query !== existingTurn.query || hasStaleFactCheck(existingTurn.panel, responseElement)) {
+        refreshTurnPanel(existingTurn, query);
+      }
+      return;
+    }
+
+    // No panel for queries HundredX won't enrich (demo questions always get one)
+    const isDemoQuestion = isDemoModeEnabled && findDemoQuestion(query);
+    if (!isDemoQuestion && !shouldAskApi(query, settings, buildConversationContext(query, turn.id))) {
+      return;
+    }
+
     // Create unique context to prevent duplicate panels for same query+response
-    const queryContext = createQueryContext(query, responseElement);
+    const queryContext = createQueryContext(turn);
     if (processedQueryContexts.has(queryContext)) {
       debugLog('❌ Query context already processed, skipping panel creation:', queryContext);
       return;
@@ -1607,14 +3674,19 @@
 
     // Create HundredX panel
     const hxPanel = createHundredXPanel();
+    hxPanel.dataset.hxTurnId = turn.id;
+    hxPanel.dataset.hxQuery = query;
+    panelResponses.set(hxPanel, responseElement);
+    const hxPanelHost = getPanelHost(hxPanel);
 
     // Inject panel using vendor-specific strategy
-    const container = vendorAdapter.injectPanel(responseElement, hxPanel);
+    const container = vendorAdapter.injectPanel(responseElement, hxPanelHost);
+    applyPanelLayout();
 
     debugLog(`🔴 PANEL ADDED TO ${vendorAdapter.name} DOM - should be visible now!`);
     debugLog('🔴 Container parent:', container?.parentElement ? 'has parent' : 'no parent');
-    debugLog('🔴 Panel parent:', hxPanel.parentElement ? 'has parent' : 'no parent');
-    debugLog('🔴 Panel in DOM:', document.contains(hxPanel) ? 'YES' : 'NO');
+    debugLog('🔴 Panel host parent:', hxPanelHost.parentElement ? 'has parent' : 'no parent');
+    debugLog('🔴 Panel in DOM:', document.contains(hxPanelHost) ? 'YES' : 'NO');
 
     // Trigger entrance animation
     requestAnimationFrame(() => {
@@ -1626,51 +3698,12 @@
     const timing = vendorAdapter.getTimingConfig();
 
     // Get HundredX response from cache or make new API call
-    setTimeout(async () => {
-      try {
-        let apiResponse;
-
-        // Check if we have cached result from early processing
-        debugLog('🔍 Checking cache for query:', `"${query}"`);
-        debugLog('🔍 Cache has query?', queryCache.has(query));
-        debugLog('🔍 Cache keys:', Array.from(queryCache.keys()));
-
-        if (queryCache.has(query)) {
-          debugLog('🎯 Using cached result from early processing:', query);
-          const cacheEntry = queryCache.get(query);
-
-          if (cacheEntry.result) {
-            // Result already available
-            apiResponse = cacheEntry.result;
-            debugLog('✅ Using immediate cached result');
-          } else {
-            // Still processing, wait for it
-            debugLog('⏳ Waiting for early processing to complete...');
-            await cacheEntry.promise;
-            apiResponse = cacheEntry.result;
-            debugLog('✅ Early processing completed, using result');
-          }
-        } else {
-          // No cache, make API call now (fallback)
-          debugLog('🔄 No cached result, making API call now...');
-          await new Promise(resolve => setTimeout(resolve, 2000)); // Small delay for loading UI
-          apiResponse = await api.processQuery(query);
-          debugLog('✅ Direct API call completed');
-        }
+    setTimeout(() => populatePanel(hxPanel, query), timing.processingDelay);
 
-        updatePanelContent(hxPanel, apiResponse);
-        debugLog('✅ HundredX panel created and populated');
-
-      } catch (error) {
-        debugLog('❌ Unexpected error in panel processing:', error);
-        updatePanelContent(hxPanel, {
-          success: false,
-          _errorType: 'generic',
-          error: error.message,
-          _retryable: true
-        });
-      }
-    }, timing.processingDelay);
+    // Remember the panel for this turn so regenerated/edited responses reuse it
+    if (!turn.unpaired) {
+      turnPanels.set(turn.id, { panel: hxPanel, query, responseElement });
+    }
 
     // Set global references for retry functionality
     currentQuery = query;
@@ -1699,16 +3732,27 @@
 
     const timing = vendorAdapter.getTimingConfig();
 
-    for (let i = 0; i < responses.length; i++) {
-      const response = responses[i];
-      debugLog(`Processing response ${i + 1}/${responses.length}`);
-      await processResponse(response);
-      // Small delay to avoid overwhelming the API
-      await new Promise(resolve => setTimeout(resolve, timing.processingDelay));
-    }
+    // Wait on every response at once (finished history resolves right away), then
+    // process them one at a time in the order they finish
+    let processing = Promise.resolve();
+    await Promise.all(responses.map((response, i) =>
+      vendorAdapter.waitForCompletion(response, { settled: true }).then(finished => {
+        if (!finished) return null;
+        processing = processing.then(async () => {
+          debugLog(`Processing response ${i + 1}/${responses.length}`);
+          await processResponse(response);
+          // Small delay to avoid overwhelming the API
+          await new Promise(resolve => setTimeout(resolve, timing.processingDelay));
+        });
+        return processing;
+      })
+    ));
     debugLog('✅ Finished processing all responses');
   }
 
+  // Inputs and buttons that already have our listeners (SPA navigation re-runs monitoring)
+  const monitoredElements = new WeakSet();
+
   // Set up input monitoring for early query processing (vendor-agnostic)
   function setupInputMonitoring() {
     if (!vendorAdapter) {
@@ -1726,6 +3770,12 @@
         return;
       }
 
+      if (monitoredElements.has(inputField)) {
+        debugLog('⏭️ Input field already monitored');
+        return;
+      }
+      monitoredElements.add(inputField);
+
       // Listen for Enter key or form submission
       const handleSubmit = (event) => {
         debugLog('🎯 Input event detected:', {
@@ -1773,6 +3823,8 @@
       const buttons = vendorAdapter.findSubmitButtons();
 
       buttons.forEach(button => {
+        if (monitoredElements.has(button)) return;
+        monitoredElements.add(button);
         debugLog('🎯 Found submit button');
         button.addEventListener('click', (event) => {
           debugLog('🎯 Submit button clicked!');
@@ -1792,6 +3844,27 @@
     setupButtonListener();
   }
 
+  // Responses currently waiting for their vendor's completion signal
+  const pendingCompletions = new WeakSet();
+
+  // Attach a panel to each response exactly once, after it finishes generating
+  function watchForFinishedResponses() {
+    const responses = findResponses();
+
+    responses.forEach(response => {
+      if (pendingCompletions.has(response)) return;
+      pendingCompletions.add(response);
+      debugLog(`⏳ Waiting for ${vendorAdapter.name} response to finish`);
+
+      vendorAdapter.waitForCompletion(response).then(finished => {
+        pendingCompletions.delete(response);
+        if (finished) {
+          processResponse(response);
+        }
+      });
+    });
+  }
+
   // Set up DOM observation for new responses (vendor-agnostic)
   function setupObserver() {
     if (!vendorAdapter) {
@@ -1802,10 +3875,22 @@
     debugLog(`Setting up ${vendorAdapter.name} DOM observer...`);
     const timing = vendorAdapter.getTimingConfig();
 
-    const observer = new MutationObserver(async (mutations) => {
+    let scanScheduled = false;
+    let sweepScheduled = false;
+
+    const observer = new MutationObserver((mutations) => {
       debugLog(`Observer triggered with ${mutations.length} mutations`);
       let hasNewContent = false;
 
+      // Cancel requests of panels the site (or a dismiss) removed
+      if (panelRequests.size > 0 && !sweepScheduled && mutations.some(m => m.removedNodes.length > 0)) {
+        sweepScheduled = true;
+        setTimeout(() => {
+          sweepScheduled = false;
+          cancelDetachedPanelRequests();
+        }, timing.processingDelay);
+      }
+
       for (const mutation of mutations) {
         if (mutation.type === 'childList') {
           for (const addedNode of mutation.addedNodes) {
@@ -1822,12 +3907,14 @@
         if (hasNewContent) break;
       }
 
-      if (hasNewContent) {
-        debugLog(`🔄 New ${vendorAdapter.name} content detected, processing after delay...`);
-        // Debounce to avoid processing while AI is still typing
-        // Use vendor-specific debounce delay
-        await new Promise(resolve => setTimeout(resolve, timing.debounceDelay));
-        await processAllResponses();
+      if (hasNewContent && !scanScheduled) {
+        debugLog(`🔄 New ${vendorAdapter.name} content detected, scanning for responses...`);
+        // Coalesce mutation bursts into one scan; completion detection decides when to attach
+        scanScheduled = true;
+        setTimeout(() => {
+          scanScheduled = false;
+          watchForFinishedResponses();
+        }, timing.processingDelay);
       }
     });
 
@@ -1840,6 +3927,174 @@
     return observer;
   }
 
+  // ============================================================================
+  // SPA NAVIGATION
+  // ============================================================================
+
+  const NAVIGATION_POLL_INTERVAL = 1000;
+
+  let domObserver = null;
+  let currentConversationId = null;
+  let lastHref = window.location.href;
+
+  // Put the vendor's response back where it was and drop our panel
+  function unwrapResponseContainer(container) {
+    container.querySelectorAll(':scope > .hx-panel-host, :scope > .hx-badge-layer').forEach(element => element.remove());
+    container.replaceWith(...container.childNodes);
+  }
+
+  // Remove everything tied to the previous conversation
+  function teardownConversation() {
+    debugLog('🧹 Tearing down previous conversation');
+
+    if (domObserver) {
+      domObserver.disconnect();
+      domObserver = null;
+    }
+
+    cancelAllRequests();
+    hideBrandCard();
+    removeBrandBadges();
+    document.querySelectorAll('.hx-response-container').forEach(unwrapResponseContainer);
+
+    processedQueryContexts.clear();
+    queryCache.clear();
+    turnPanels.clear();
+    degradedPanels.clear();
+    answerContexts.clear();
+    askedQueries.clear();
+    brandCards.clear();
+    currentQuery = null;
+    currentPanel = null;
+  }
+
+  // Discover responses and wire up listeners for the current conversation
+  async function startConversation() {
+    domObserver = setupObserver();
+
+    try {
+      setupInputMonitoring();
+    } catch (error) {
+      debugLog('❌ Error setting up input monitoring:', error);
+    }
+
+    await processAllResponses();
+  }
+
+  function handleNavigation() {
+    lastHref = window.location.href;
+    const conversationId = vendorAdapter.getConversationId();
+    if (conversationId === currentConversationId) return;
+
+    const previousId = currentConversationId;
+    currentConversationId = conversationId;
+    debugLog(`🧭 Conversation changed: ${previousId} → ${conversationId}`);
+
+    // A new chat receiving its first id is the same conversation - keep its panels
+    // and the early-processed query that triggered the navigation
+    if (previousId !== null) {
+      teardownConversation();
+    } else if (domObserver) {
+      domObserver.disconnect();
+      domObserver = null;
+    }
+
+    startConversation();
+  }
+
+  // Watch for client-side route changes
+  function setupNavigationWatcher() {
+    window.addEventListener('popstate', handleNavigation);
+
+    // Navigation API catches pushState/replaceState made by the page
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', handleNavigation);
+    }
+
+    // Backstop for browsers without the Navigation API
+    setInterval(() => {
+      if (window.location.href !== lastHref) {
+        handleNavigation();
+      }
+    }, NAVIGATION_POLL_INTERVAL);
+
+    debugLog('✅ Navigation watcher set up');
+  }
+
+  // ============================================================================
+  // REGENERATED & EDITED RESPONSES
+  // ============================================================================
+
+  const REGENERATE_RECHECK_DELAY = 500;
+
+  // Find a response the vendor rendered in place of ours inside our own container
+  // (findResponseContainers skips anything inside .hx-response-container)
+  function findReplacementResponse(record) {
+    const container = getPanelHost(record.panel).parentElement;
+    if (!container?.isConnected) {
+      return null;
+    }
+
+    const { primary, fallbacks } = vendorAdapter.config.selectors.responses;
+    for (const selector of [primary, ...fallbacks]) {
+      const candidate = Array.from(container.querySelectorAll(selector))
+        .find(el => !el.closest('.hx-panel-host') && !processedResponses.has(el));
+      if (candidate) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // Re-pair every tracked panel with its turn's current response and query
+  async function recheckTurnPanels() {
+    debugLog(`🔁 Rechecking ${turnPanels.size} turn panels after regenerate/edit`);
+
+    for (const record of turnPanels.values()) {
+      let responseElement = record.responseElement;
+
+      if (!responseElement.isConnected) {
+        responseElement = findReplacementResponse(record);
+        if (!responseElement) {
+          // Replaced outside our container - the observer picks it up via processResponse
+          continue;
+        }
+        processedResponses.add(responseElement);
+      }
+
+      const completed = await vendorAdapter.waitForCompletion(responseElement);
+      if (!completed) {
+        continue;
+      }
+
+      const turn = getTurnForResponse(responseElement);
+      if (!turn) {
+        continue;
+      }
+
+      reattachTurnPanel(record, responseElement);
+      if (turn.queryText !== record.query || hasStaleFactCheck(record.panel, responseElement)) {
+        refreshTurnPanel(record, turn.queryText);
+      }
+    }
+  }
+
+  // Regenerate/edit controls swap a turn's response (and maybe its query) in place
+  function setupRegenerationWatcher() {
+    // Capture phase: the vendor may remove the button before the event bubbles
+    document.addEventListener('click', (event) => {
+      // Read the config on each click so selector packs apply
+      const selectors = vendorAdapter.config.selectors.regenerateTriggers || [];
+      if (!event.target.closest || !selectors.some(selector => event.target.closest(selector))) {
+        return;
+      }
+      debugLog('🔁 Regenerate/edit control clicked');
+      setTimeout(recheckTurnPanels, REGENERATE_RECHECK_DELAY);
+    }, true);
+
+    debugLog('✅ Regeneration watcher set up');
+  }
+
   // Load demo mode state from storage
   async function loadDemoMode() {
     try {
@@ -2164,11 +4419,14 @@
       return;
     }
 
-    demoFAB = createDemoFAB();
-    if (!demoFAB) return;
+    const fab = createDemoFAB();
+    if (!fab) return;
 
-    document.body.appendChild(demoFAB);
-    demoFABPanel = demoFAB.querySelector('.hx-demo-panel');
+    const { host, root } = createShadowHost('hx-demo-fab-host');
+    root.appendChild(fab);
+    document.body.appendChild(host);
+    demoFAB = host;
+    demoFABPanel = fab.querySelector('.hx-demo-panel');
 
     debugLog('✅ Demo FAB injected into page');
 
@@ -2207,20 +4465,46 @@
     }
   }
 
+  // Answer diagnostics requests from the popup
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type === 'hxRunDiagnostics') {
+      debugLog('🩺 Running adapter self-test for popup');
+      sendResponse(vendorAdapter.runSelfTest());
+    }
+  });
+
   // Listen for settings changes
   chrome.storage.onChanged.addListener((changes, namespace) => {
+    if (namespace === 'local' && changes[SELECTOR_PACK_STORAGE_KEY]) {
+      debugLog('📦 Selector pack updated in storage, re-applying');
+      applySelectorPack().then(() => processAllResponses());
+    }
+
     if (namespace === 'sync' && changes.hxSettings) {
       const newSettings = changes.hxSettings.newValue;
       const oldSettings = changes.hxSettings.oldValue;
 
       debugLog('⚙️ Settings changed:', { old: oldSettings, new: newSettings });
 
-      // If extension was toggled off, clear query cache
+      // If extension was toggled off, cancel in-flight requests and clear query cache
       if (oldSettings?.extensionEnabled && !newSettings?.extensionEnabled) {
-        debugLog('🔴 Extension disabled, clearing query cache');
+        debugLog('🔴 Extension disabled, cancelling requests and clearing query cache');
+        cancelAllRequests();
         queryCache.clear();
       }
 
+      // Answers depend on the template and web search; drop finished ones so new panels ask again
+      // (the background cache is keyed by both, so it won't serve the stale answer either)
+      if (newSettings?.template_id !== oldSettings?.template_id ||
+          newSettings?.enable_web_search !== oldSettings?.enable_web_search) {
+        for (const [key, entry] of queryCache.entries()) {
+          if (entry.result) {
+            queryCache.delete(key);
+          }
+        }
+        debugLog('🧹 Answer settings changed, cleared finished query cache entries');
+      }
+
       // If extension was toggled back on
       if (!oldSettings?.extensionEnabled && newSettings?.extensionEnabled) {
         debugLog('🟢 Extension re-enabled');
@@ -2232,6 +4516,20 @@
         debugLog(`🎬 Demo mode ${isDemoModeEnabled ? 'enabled' : 'disabled'}`);
         updateDemoFABVisibility();
       }
+
+      // Switch layout of existing panels live
+      const newLayout = getPanelLayoutFromSettings(newSettings);
+      if (newLayout !== currentPanelLayout) {
+        currentPanelLayout = newLayout;
+        debugLog(`🪟 Panel layout changed to ${currentPanelLayout}`);
+        applyPanelLayout();
+      }
+
+      // Re-fetch selector pack if its URL changed
+      if (newSettings?.selectorPackUrl !== oldSettings?.selectorPackUrl) {
+        debugLog('📦 Selector pack URL changed, reloading pack');
+        applySelectorPack().then(() => processAllResponses());
+      }
     }
   });
 
@@ -2241,33 +4539,41 @@
     debugLog('🚀 Initializing HundredX extension...');
     debugLog('Current URL:', window.location.href);
 
-    // Load demo mode state
+    // Pick up remote selector overrides before touching the page
+    await applySelectorPack();
+
+    // Load demo mode state, panel layout and the brands the intent classifier knows
     await loadDemoMode();
+    await loadPanelLayout();
+    await loadBrandCatalog();
+
+    // Score cards for brands hovered in responses and panels
+    setupBrandHoverCards();
 
     // Inject demo FAB if demo mode is enabled
     updateDemoFABVisibility();
 
-    // Check API health
+    // Reload degraded panels when the API recovers; start with the circuit open if it's already down
+    api.onCircuitChange(open => {
+      if (!open) resumeDegradedPanels();
+    });
     const isHealthy = await api.healthCheck();
     debugLog('API health check:', isHealthy);
     if (!isHealthy) {
-      console.warn('HundredX: API not available. Make sure mock server is running on localhost:3000');
+      api.openCircuit();
     }
 
-    // Process existing responses
-    debugLog('Processing existing responses...');
-    await processAllResponses();
+    // Re-run discovery when the user switches conversations
+    setupNavigationWatcher();
 
-    // Set up observer for new responses
-    setupObserver();
+    // Keep panels with their turn when responses are regenerated or edited
+    setupRegenerationWatcher();
 
-    // Set up input monitoring for early query processing
-    try {
-      setupInputMonitoring();
-      debugLog('✅ Input monitoring setup completed');
-    } catch (error) {
-      debugLog('❌ Error setting up input monitoring:', error);
-    }
+    // Process existing responses, then observe new ones and monitor input.
+    // The watchers above are already live while long histories finish.
+    debugLog('Processing existing responses...');
+    currentConversationId = vendorAdapter.getConversationId();
+    await startConversation();
 
     debugLog('✅ HundredX extension initialized successfully');
   }
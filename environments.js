@@ -0,0 +1,55 @@
+// HundredX API environment profiles
+// Shared by background.js (importScripts) and popup.js (<script>); selected via hxSettings.environment
+
+// Change here when staging moves; it isn't in host_permissions, so the popup asks for access
+const HX_STAGING_URL = 'https://pulse-staging.ngrok.pizza';
+
+const HX_ENVIRONMENTS = {
+  production: {
+    name: 'Production',
+    baseUrl: 'https://pulse.ngrok.pizza'
+  },
+  staging: {
+    name: 'Staging',
+    baseUrl: HX_STAGING_URL,
+    requestAccess: true // Not in host_permissions
+  },
+  local: {
+    name: 'Local mock',
+    baseUrl: 'http://localhost:3000' // npm start (mock-api.js)
+  },
+  custom: {
+    name: 'Custom URL',
+    baseUrl: null // hxSettings.customApiUrl
+  }
+};
+
+const HX_DEFAULT_ENVIRONMENT = 'production';
+
+// Normalize a user-entered API URL to its origin, or null if it isn't http(s)
+function normalizeApiUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return null;
+    }
+    return parsed.origin;
+  } catch {
+    return null;
+  }
+}
+
+// Resolve the environment profile for settings, falling back to production
+function resolveEnvironment(settings) {
+  const key = HX_ENVIRONMENTS[settings?.environment] ? settings.environment : HX_DEFAULT_ENVIRONMENT;
+
+  if (key === 'custom') {
+    const baseUrl = normalizeApiUrl(settings.customApiUrl || '');
+    if (!baseUrl) {
+      return { key: HX_DEFAULT_ENVIRONMENT, ...HX_ENVIRONMENTS[HX_DEFAULT_ENVIRONMENT] };
+    }
+    return { key, name: `Custom (${new URL(baseUrl).host})`, baseUrl };
+  }
+
+  return { key, ...HX_ENVIRONMENTS[key] };
+}
@@ -3,6 +3,16 @@ const cors = require('cors');
 const app = express();
 const PORT = 3000;
 
+// API keys: send "Authorization: Bearer <key>". Set HX_API_KEYS (comma-separated) to change
+// the accepted keys, or HX_REQUIRE_AUTH=false to accept unauthenticated requests.
+const API_KEYS = (process.env.HX_API_KEYS || 'hx-dev-key').split(',').map(key => key.trim()).filter(Boolean);
+const REQUIRE_AUTH = process.env.HX_REQUIRE_AUTH !== 'false';
+
+// Rate-limit mode: HX_RATE_LIMIT=<n> allows n answer/job submissions per client every
+// HX_RATE_LIMIT_WINDOW seconds (default 60) and replies 429 with Retry-After beyond that.
+const RATE_LIMIT = Number(process.env.HX_RATE_LIMIT) || 0;
+const RATE_LIMIT_WINDOW = (Number(process.env.HX_RATE_LIMIT_WINDOW) || 60) * 1000;
+
 // CORS configuration for Chrome extensions and AI platforms
 const corsOptions = {
   origin: [
@@ -10,6 +20,9 @@ const corsOptions = {
     /^http:\/\/localhost:.*/,
     'https://claude.ai',
     /^https:\/\/.*\.claude\.ai$/,
+    'https://chatgpt.com',
+    'https://chat.openai.com',
+    'https://copilot.microsoft.com',
     'https://gemini.google.com',
     /^https:\/\/.*\.google\.com$/,
     'https://perplexity.ai',
@@ -21,20 +34,92 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
+// Reject requests without a valid bearer token (health stays public for monitoring)
+function requireApiKey(req, res, next) {
+  if (!REQUIRE_AUTH) return next();
+
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    console.log(`🔒 ${req.method} ${req.originalUrl} rejected: missing API key`);
+    return res.status(401).json({
+      answer: 'Authentication required.',
+      sources: [],
+      metadata: { error: 'Missing API key' },
+      success: false,
+      error: 'Missing API key'
+    });
+  }
+
+  if (!API_KEYS.includes(match[1].trim())) {
+    console.log(`🔒 ${req.method} ${req.originalUrl} rejected: invalid API key`);
+    return res.status(403).json({
+      answer: 'Invalid API key.',
+      sources: [],
+      metadata: { error: 'Invalid API key' },
+      success: false,
+      error: 'Invalid API key'
+    });
+  }
+
+  next();
+}
+
+app.use(['/api/answer', '/api/jobs', '/api/industries', '/api/metrics', '/api/brands'], requireApiKey);
+
+// Fixed-window counters per client (API key, or IP without auth): Map<client, {count, windowStart}>
+const rateLimitWindows = new Map();
+
+function rateLimit(req, res, next) {
+  if (!RATE_LIMIT || req.method !== 'POST') return next();
+
+  const client = req.get('Authorization') || req.ip;
+  const now = Date.now();
+  let bucket = rateLimitWindows.get(client);
+  if (!bucket || now - bucket.windowStart >= RATE_LIMIT_WINDOW) {
+    bucket = { count: 0, windowStart: now };
+    rateLimitWindows.set(client, bucket);
+  }
+
+  bucket.count++;
+  if (bucket.count > RATE_LIMIT) {
+    const retryAfter = Math.ceil((bucket.windowStart + RATE_LIMIT_WINDOW - now) / 1000);
+    console.log(`🚦 ${req.method} ${req.originalUrl} rate limited, retry after ${retryAfter}s`);
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      answer: 'Too many requests. Please try again later.',
+      sources: [],
+      metadata: { error: 'Rate limit exceeded' },
+      success: false,
+      error: 'Rate limit exceeded'
+    });
+  }
+
+  next();
+}
+
+app.use(['/api/answer', '/api/jobs'], rateLimit);
+
 // Mock data
 const mockCompanies = {
   'Superstores': [
-    { name: 'Walmart', feedback: 8617, nps: 45, csat: 3.8, net_intent: 65 },
-    { name: 'Costco', feedback: 6525, nps: 68, csat: 4.3, net_intent: 78 },
-    { name: 'Target', feedback: 4231, nps: 52, csat: 4.0, net_intent: 71 }
+    { name: 'Walmart', feedback: 8617, nps: 45, csat: 3.8, net_intent: 65,
+      pros: ['Low everyday prices', 'Wide selection', 'Convenient locations'], cons: ['Long checkout lines', 'Inconsistent store upkeep'] },
+    { name: 'Costco', feedback: 6525, nps: 68, csat: 4.3, net_intent: 78,
+      pros: ['Product quality', 'Bulk value', 'Generous return policy'], cons: ['Membership fee', 'Crowded on weekends'] },
+    { name: 'Target', feedback: 4231, nps: 52, csat: 4.0, net_intent: 71,
+      pros: ['Friendly service', 'Easy online pickup', 'Clean stores'], cons: ['Higher prices than Walmart'] }
   ],
   'Airlines': [
-    { name: 'Delta Air Lines', feedback: 15400, nps: 35, csat: 3.6, net_intent: 58 },
-    { name: 'United Airlines', feedback: 14950, nps: 28, csat: 3.4, net_intent: 52 }
+    { name: 'Delta Air Lines', feedback: 15400, nps: 35, csat: 3.6, net_intent: 58,
+      pros: ['On-time performance', 'Helpful crew'], cons: ['Expensive fares', 'Tight seating in economy'] },
+    { name: 'United Airlines', feedback: 14950, nps: 28, csat: 3.4, net_intent: 52,
+      pros: ['Large route network', 'Good mobile app'], cons: ['Frequent delays', 'Baggage fees'] }
   ],
   'Technology': [
-    { name: 'Apple', feedback: 45310, nps: 72, csat: 4.5, net_intent: 85 },
-    { name: 'Samsung', feedback: 38990, nps: 64, csat: 4.2, net_intent: 79 }
+    { name: 'Apple', feedback: 45310, nps: 72, csat: 4.5, net_intent: 85,
+      pros: ['Build quality', 'Long software support', 'Ecosystem'], cons: ['Premium pricing'] },
+    { name: 'Samsung', feedback: 38990, nps: 64, csat: 4.2, net_intent: 79,
+      pros: ['Displays', 'Range of price points'], cons: ['Preinstalled apps', 'Shorter update window'] }
   ]
 };
 
@@ -52,11 +137,29 @@ function isCommercialQuery(query) {
   return commercialKeywords.test(query);
 }
 
-function extractIndustry(query) {
+function extractIndustry(query, fallback = 'Superstores') {
   if (/superstore|walmart|costco|target/i.test(query)) return 'Superstores';
   if (/airline|delta|united|flight/i.test(query)) return 'Airlines';
   if (/phone|apple|samsung|iphone/i.test(query)) return 'Technology';
-  return 'Superstores'; // Default
+  return fallback;
+}
+
+// Follow-ups lean on the conversation in options.context: { previous_queries, industry, brands }
+const FOLLOW_UP_PATTERN = /^(and|what about|how about|what of|same for|ok so|so which|is it|are they|do they)\b/i;
+
+function resolveFollowUp(query, context) {
+  const previousQueries = Array.isArray(context?.previous_queries) ? context.previous_queries : [];
+  const previous = previousQueries[previousQueries.length - 1];
+  const isFollowUp = previous && (FOLLOW_UP_PATTERN.test(query.trim()) || query.trim().split(/\s+/).length <= 4);
+  if (!isFollowUp) {
+    return null;
+  }
+
+  return {
+    previous,
+    resolvedQuery: `${previous} ${query}`,
+    industry: extractIndustry(query, context.industry || extractIndustry(previous))
+  };
 }
 
 function generateMockResponse(query, industry, template_id, enable_web_search) {
@@ -107,6 +210,7 @@ ${companies.map(company =>
       industry: industry,
       criteria: ["Price", "Quality", "Service"],
       brands: companies.map(c => c.name),
+      brand_scores: Object.fromEntries(companies.map(c => [c.name, { score: Math.round(c.csat * 20), reviews: c.feedback }])),
       enriched: true,
       template_id: template_id,
       web_search_enabled: enable_web_search,
@@ -119,66 +223,268 @@ ${companies.map(company =>
   };
 }
 
-// Routes
+// Streaming: pick SSE or NDJSON from the Accept header when the client sends stream: true
+const STREAM_CHUNK_WORDS = 4;
+const STREAM_CHUNK_DELAY = 80; // ms between chunks
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    database_connected: true,
-    timestamp: new Date().toISOString()
+function getStreamFormat(req) {
+  if (!req.body.stream) return null;
+  const accept = req.get('Accept') || '';
+  if (accept.includes('application/x-ndjson')) return 'ndjson';
+  if (accept.includes('text/event-stream')) return 'sse';
+  return null;
+}
+
+function writeStreamEvent(res, format, event) {
+  if (format === 'sse') {
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  } else {
+    res.write(JSON.stringify(event) + '\n');
+  }
+}
+
+// Send the answer text as 'delta' events, then the full response as 'done'
+function streamAnswer(req, res, format, response) {
+  res.status(200);
+  res.set({
+    'Content-Type': format === 'sse' ? 'text/event-stream' : 'application/x-ndjson',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
   });
-});
+  res.flushHeaders();
 
-// Main query processing endpoint - matches production API
-app.post('/api/answer', (req, res) => {
-  const { query, template_id = '3_tier_consumer_friendly_locked_v3', enable_web_search = false } = req.body;
+  // Split on spaces but keep them, so the deltas concatenate back to the exact answer
+  const words = response.answer.split(/(?<= )/);
+  let index = 0;
+  let closed = false;
+  // The request stream closes once the body is read; only the response closing early means the client left
+  res.on('close', () => {
+    if (!res.writableEnded) closed = true;
+  });
 
-  console.log('📥 Received request:', { query, template_id, enable_web_search });
+  const sendNext = () => {
+    if (closed) {
+      console.log(`🔌 Client disconnected, stopped streaming (${format})`);
+      return;
+    }
+    if (index >= words.length) {
+      writeStreamEvent(res, format, { type: 'done', response });
+      res.end();
+      console.log(`✅ Finished streaming response (${format})`);
+      return;
+    }
+    const text = words.slice(index, index + STREAM_CHUNK_WORDS).join('');
+    index += STREAM_CHUNK_WORDS;
+    writeStreamEvent(res, format, { type: 'delta', text });
+    setTimeout(sendNext, STREAM_CHUNK_DELAY);
+  };
+  sendNext();
+}
 
+// Shared by /api/answer and /api/jobs: returns an error body for invalid queries, or null
+function validateQuery(query) {
   if (!query || typeof query !== 'string' || query.trim().length === 0) {
-    return res.status(400).json({
+    return {
       answer: 'Invalid query provided.',
       sources: [],
       metadata: { error: 'Query must be a non-empty string' },
       success: false,
       error: 'Invalid query format'
-    });
+    };
   }
 
   if (query.length > 1000) {
-    return res.status(400).json({
+    return {
       answer: 'Query too long. Please limit to 1000 characters.',
       sources: [],
       metadata: { error: 'Query exceeds maximum length' },
       success: false,
       error: 'Query too long'
-    });
+    };
+  }
+
+  return null;
+}
+
+// Fact-check mode: options.fact_check carries the assistant's answer. Each sentence naming a
+// mock brand is checked against the mock metrics: praise agrees when the brand leads its
+// industry (on price for price claims, NPS otherwise), criticism when it doesn't.
+const FACT_CHECK_MAX_CLAIMS = 5;
+const POSITIVE_CLAIM_PATTERN = /\b(best|top|leads?|leader|leading|highest|most|favou?rite|winner|better|outperforms?|excellent|great)\b/i;
+const NEGATIVE_CLAIM_PATTERN = /\b(worst|lowest|lags?|behind|poor|weak|worse|disappointing)\b/i;
+const PRICE_CLAIM_PATTERN = /\b(price|prices|pricing|cheap|cheapest|affordable|value|cost|deals?)\b/i;
+const PRICE_PRAISE_PATTERN = /\b(cheapest|lowest (prices?|costs?)|most affordable)\b/i; // "lowest" is praise here
+
+function splitSentences(text) {
+  return (text.replace(/\s+/g, ' ').match(/[^.!?]+[.!?]*/g) || [])
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length >= 20);
+}
+
+// "Delta" is enough to mention Delta Air Lines
+function mentionsCompany(sentence, company) {
+  return new RegExp(`\\b${company.name.split(' ')[0]}\\b`, 'i').test(sentence);
+}
+
+function checkClaim(sentence) {
+  const industry = Object.keys(mockCompanies).find(name =>
+    mockCompanies[name].some(company => mentionsCompany(sentence, company)));
+  if (!industry) {
+    return null;
+  }
+
+  const companies = mockCompanies[industry];
+  const company = companies.find(c => mentionsCompany(sentence, c));
+  const isPriceClaim = PRICE_CLAIM_PATTERN.test(sentence);
+  const leader = isPriceClaim
+    ? companies.reduce((prev, current) => (prev.feedback > current.feedback) ? prev : current)
+    : companies.reduce((prev, current) => (prev.nps > current.nps) ? prev : current);
+
+  const isPricePraise = isPriceClaim && PRICE_PRAISE_PATTERN.test(sentence);
+  const isNegative = !isPricePraise && NEGATIVE_CLAIM_PATTERN.test(sentence);
+  const isPositive = isPricePraise || (!isNegative && POSITIVE_CLAIM_PATTERN.test(sentence));
+  let verdict = 'unverified';
+  if (isPositive) verdict = company === leader ? 'agrees' : 'disagrees';
+  if (isNegative) verdict = company === leader ? 'disagrees' : 'agrees';
+
+  const leaderSummary = isPriceClaim
+    ? `${leader.name} shows the strongest price performance in ${industry} (+21.1% net positive)`
+    : `${leader.name} leads ${industry} with ${leader.nps} NPS and ${leader.csat}/5.0 satisfaction`;
+  const companySummary = `${company.name} has ${company.nps} NPS and ${company.csat}/5.0 satisfaction`;
+
+  return {
+    quote: sentence,
+    brand: company.name,
+    industry,
+    verdict,
+    hundredx: company === leader
+      ? `${leaderSummary} (${company.feedback.toLocaleString()} responses, T3M ending Dec '24)`
+      : `${leaderSummary}; ${companySummary} (${company.feedback.toLocaleString()} responses, T3M ending Dec '24)`
+  };
+}
+
+function buildFactCheck(factCheck) {
+  const claims = splitSentences(factCheck.response_text)
+    .map(checkClaim)
+    .filter(Boolean)
+    .slice(0, FACT_CHECK_MAX_CLAIMS);
+
+  console.log(`🔎 Fact-checked ${claims.length} claims from ${factCheck.assistant || 'assistant'}`);
+  return {
+    assistant: factCheck.assistant || null,
+    claims,
+    summary: {
+      agrees: claims.filter(c => c.verdict === 'agrees').length,
+      disagrees: claims.filter(c => c.verdict === 'disagrees').length,
+      unverified: claims.filter(c => c.verdict === 'unverified').length
+    }
+  };
+}
+
+function addFactCheck(response, options) {
+  if (typeof options?.fact_check?.response_text === 'string') {
+    response.fact_check = buildFactCheck(options.fact_check);
+  }
+  return response;
+}
+
+function buildAnswerResponse(query, template_id, enable_web_search, options = {}) {
+  const followUp = resolveFollowUp(query, options?.context);
+  if (followUp && isCommercialQuery(followUp.resolvedQuery)) {
+    console.log(`🧵 Follow-up resolved against "${followUp.previous}" (${followUp.industry})`);
+    const response = generateMockResponse(followUp.resolvedQuery, followUp.industry, template_id, enable_web_search);
+    response.answer = `Following up on "${followUp.previous}":\n\n${response.answer}`;
+    response.metadata.follow_up = true;
+    response.metadata.resolved_query = followUp.resolvedQuery;
+    return addFactCheck(response, options);
+  }
+
+  if (isCommercialQuery(query)) {
+    const industry = extractIndustry(query);
+    return addFactCheck(generateMockResponse(query, industry, template_id, enable_web_search), options);
+  }
+
+  return {
+    answer: "This query doesn't appear to be commercial in nature. HundredX enrichment is optimized for commercial queries about customer experience, quality, price, and service comparisons.",
+    sources: [],
+    metadata: {
+      intent: "informational",
+      enriched: false,
+      template_id,
+      web_search_enabled: enable_web_search
+    },
+    success: true,
+    error: null
+  };
+}
+
+// Async jobs: the job's state is derived from its age, walking through these stages.
+// Commercial queries write their answer progressively during the 'writing' stage.
+const JOB_STAGES = [
+  { stage: 'queued', duration: 1000 },
+  { stage: 'classifying', duration: 1500 },
+  { stage: 'analyzing_reviews', duration: 4000 },
+  { stage: 'writing', duration: 4000 }
+];
+const JOB_TTL = 30 * 60 * 1000; // Forget jobs after 30 minutes
+
+const jobs = new Map(); // Map<job_id, {query, response, createdAt}>
+let nextJobId = 1;
+
+function getJobStatus(jobId, job) {
+  const stages = job.response.metadata.enriched ? JOB_STAGES : JOB_STAGES.slice(0, 2);
+  let elapsed = Date.now() - job.createdAt;
+
+  for (const { stage, duration } of stages) {
+    if (elapsed < duration) {
+      const status = { job_id: jobId, status: stage === 'queued' ? 'queued' : 'running', stage };
+      if (stage === 'writing') {
+        const length = Math.floor(job.response.answer.length * (elapsed / duration));
+        status.partial_answer = job.response.answer.slice(0, length);
+      }
+      return status;
+    }
+    elapsed -= duration;
+  }
+
+  return { job_id: jobId, status: 'completed', stage: 'completed', result: job.response };
+}
+
+// Routes
+
+// Health check
+app.get('/api/health', (req, res) => {
+  res.json({
+    status: 'healthy',
+    database_connected: true,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Main query processing endpoint - matches production API
+app.post('/api/answer', (req, res) => {
+  const { query, template_id = '3_tier_consumer_friendly_locked_v3', enable_web_search = false, stream = false, options = {} } = req.body;
+
+  console.log('📥 Received request:', { query, template_id, enable_web_search, stream, context: options?.context, fact_check: Boolean(options?.fact_check) });
+
+  const validationError = validateQuery(query);
+  if (validationError) {
+    return res.status(400).json(validationError);
   }
 
+  const streamFormat = getStreamFormat(req);
+  const send = (response) => streamFormat ? streamAnswer(req, res, streamFormat, response) : res.json(response);
+
   try {
     // Simulate processing delay (shorter for mock)
     setTimeout(() => {
-      if (isCommercialQuery(query)) {
-        const industry = extractIndustry(query);
-        const response = generateMockResponse(query, industry, template_id, enable_web_search);
-        console.log('✅ Sending mock response for commercial query');
-        res.json(response);
+      const response = buildAnswerResponse(query, template_id, enable_web_search, options);
+      if (response.metadata.enriched) {
+        console.log(`✅ Sending mock response for commercial query${streamFormat ? ` (streaming ${streamFormat})` : ''}`);
       } else {
         console.log('ℹ️ Non-commercial query detected');
-        res.json({
-          answer: "This query doesn't appear to be commercial in nature. HundredX enrichment is optimized for commercial queries about customer experience, quality, price, and service comparisons.",
-          sources: [],
-          metadata: {
-            intent: "informational",
-            enriched: false,
-            template_id,
-            web_search_enabled: enable_web_search
-          },
-          success: true,
-          error: null
-        });
       }
+      send(response);
     }, Math.floor(Math.random() * 300) + 100); // Random delay 100-400ms
 
   } catch (error) {
@@ -193,6 +499,59 @@ app.post('/api/answer', (req, res) => {
   }
 });
 
+// Submit an async job - returns immediately with a job id to poll
+app.post('/api/jobs', (req, res) => {
+  const { query, template_id = '3_tier_consumer_friendly_locked_v3', enable_web_search = false, options = {} } = req.body;
+
+  const validationError = validateQuery(query);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  // Forget expired jobs
+  for (const [id, job] of jobs.entries()) {
+    if (Date.now() - job.createdAt > JOB_TTL) jobs.delete(id);
+  }
+
+  const jobId = `job_${Date.now().toString(36)}_${nextJobId++}`;
+  jobs.set(jobId, {
+    query,
+    response: buildAnswerResponse(query, template_id, enable_web_search, options),
+    createdAt: Date.now()
+  });
+
+  console.log(`📮 Job ${jobId} submitted:`, query);
+  res.status(202).json({ job_id: jobId, status: 'queued' });
+});
+
+// Poll an async job
+app.get('/api/jobs/:jobId', (req, res) => {
+  const { jobId } = req.params;
+  const job = jobs.get(jobId);
+
+  if (!job) {
+    return res.status(404).json({
+      error: `Job '${jobId}' not found`
+    });
+  }
+
+  res.json(getJobStatus(jobId, job));
+});
+
+// Cancel an async job
+app.delete('/api/jobs/:jobId', (req, res) => {
+  const { jobId } = req.params;
+
+  if (!jobs.delete(jobId)) {
+    return res.status(404).json({
+      error: `Job '${jobId}' not found`
+    });
+  }
+
+  console.log(`🛑 Job ${jobId} cancelled`);
+  res.json({ job_id: jobId, status: 'cancelled' });
+});
+
 // Get industries
 app.get('/api/industries', (req, res) => {
   res.json({
@@ -235,6 +594,35 @@ app.get('/api/metrics/:industry', (req, res) => {
   });
 });
 
+// Get brand details for hover cards; "delta" finds Delta Air Lines
+app.get('/api/brands/:name', (req, res) => {
+  const name = req.params.name.toLowerCase();
+  const matches = c => c.name.toLowerCase() === name || c.name.split(' ')[0].toLowerCase() === name;
+  const industry = Object.keys(mockCompanies).find(key => mockCompanies[key].some(matches));
+
+  if (!industry) {
+    return res.status(404).json({
+      error: `Brand '${req.params.name}' not found`
+    });
+  }
+
+  const company = mockCompanies[industry].find(matches);
+  res.json({
+    brand: company.name,
+    industry,
+    score: Math.round(company.csat * 20),
+    reviews: company.feedback,
+    nps: company.nps,
+    csat: company.csat,
+    pros: company.pros,
+    cons: company.cons,
+    drivers: Object.entries(mockDrivers)
+      .filter(([, driver]) => driver.leader === company.name)
+      .map(([driver, { performance }]) => ({ name: driver, performance, leader: true })),
+    time_period: "T3M ending Dec '24"
+  });
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('API Error:', error);
@@ -254,8 +642,12 @@ app.use((req, res) => {
     available_endpoints: [
       'GET /api/health',
       'POST /api/answer',
+      'POST /api/jobs',
+      'GET /api/jobs/:jobId',
+      'DELETE /api/jobs/:jobId',
       'GET /api/industries', 
-      'GET /api/metrics/:industry'
+      'GET /api/metrics/:industry',
+      'GET /api/brands/:name'
     ]
   });
 });
@@ -265,10 +657,22 @@ app.listen(PORT, () => {
   console.log(`📋 Available endpoints:`);
   console.log(`   GET  /api/health`);
   console.log(`   POST /api/answer`);
+  console.log(`   POST /api/jobs`);
+  console.log(`   GET  /api/jobs/:jobId`);
+  console.log(`   DELETE /api/jobs/:jobId`);
   console.log(`   GET  /api/industries`);
   console.log(`   GET  /api/metrics/:industry`);
+  console.log(`   GET  /api/brands/:name`);
+  console.log(REQUIRE_AUTH
+    ? `🔑 API key required - accepted keys: ${API_KEYS.join(', ')}`
+    : '🔓 API key checking disabled (HX_REQUIRE_AUTH=false)');
+  if (RATE_LIMIT) {
+    console.log(`🚦 Rate limit: ${RATE_LIMIT} answers per ${RATE_LIMIT_WINDOW / 1000}s per client (HX_RATE_LIMIT)`);
+  }
+  const authHeader = REQUIRE_AUTH ? ` -H "Authorization: Bearer ${API_KEYS[0]}"` : '';
   console.log(`\n💡 Test with:`);
-  console.log(`   curl -X POST http://localhost:3000/api/answer -H "Content-Type: application/json" -d '{"query":"Which superstore has the best prices?"}'`);
+  console.log(`   curl -X POST http://localhost:3000/api/answer -H "Content-Type: application/json"${authHeader} -d '{"query":"Which superstore has the best prices?"}'`);
+  console.log(`   curl -N -X POST http://localhost:3000/api/answer -H "Content-Type: application/json" -H "Accept: application/x-ndjson"${authHeader} -d '{"query":"Which superstore has the best prices?","stream":true}'`);
 });
 
 module.exports = app;
\ No newline at end of file
@@ -1,18 +1,38 @@
 // HundredX Extension Popup Logic
 
-const API_BASE_URL = 'https://pulse.ngrok.pizza';
 const HEALTH_CHECK_INTERVAL = 30000; // 30 seconds
+const API_KEY_STORAGE_KEY = 'hxApiKey'; // chrome.storage.local, never synced
 
 // DOM Elements
 let extensionEnabledToggle;
 let templateSelect;
 let webSearchToggle;
 let demoModeToggle;
+let panelLayoutSelect;
+let panelLayoutLabel;
+let panelLayoutDescription;
+let selectorPackUrlInput;
+let environmentSelect;
+let customApiUrlInput;
+let apiKeyInput;
+let alwaysAskToggle;
+let intentThresholdSelect;
+let factCheckToggle;
+let cacheTtlSelect;
+let cacheMaxEntriesSelect;
+let clearCacheButton;
 let saveButton;
 let statusMessage;
 let healthDot;
 let healthText;
 let healthCheckInterval;
+let compatVendor;
+let compatList;
+
+// Vendor of the active tab (from the site compatibility report), used for per-vendor settings
+let activeVendorKey = null;
+let activeVendorName = null;
+let savedPanelLayouts = {};
 
 // Templates data
 let availableTemplates = [];
@@ -23,7 +43,16 @@ const DEFAULT_SETTINGS = {
   extensionEnabled: true,
   template_id: null, // Will be set from API default
   enable_web_search: false,
-  demoMode: false
+  demoMode: false,
+  selectorPackUrl: '',
+  panelLayout: 'side-by-side',
+  environment: HX_DEFAULT_ENVIRONMENT, // environments.js
+  customApiUrl: '',
+  alwaysAsk: false,
+  intentThreshold: 0.5, // Must match one of the #intentThreshold options
+  factCheck: false,
+  cacheTtlHours: 24,
+  cacheMaxEntries: 200
 };
 
 // Initialize popup
@@ -35,10 +64,28 @@ document.addEventListener('DOMContentLoaded', async () => {
   templateSelect = document.getElementById('templateSelect');
   webSearchToggle = document.getElementById('webSearch');
   demoModeToggle = document.getElementById('demoMode');
+  panelLayoutSelect = document.getElementById('panelLayout');
+  panelLayoutLabel = document.getElementById('panelLayoutLabel');
+  panelLayoutDescription = document.getElementById('panelLayoutDescription');
+  selectorPackUrlInput = document.getElementById('selectorPackUrl');
+  environmentSelect = document.getElementById('environmentSelect');
+  customApiUrlInput = document.getElementById('customApiUrl');
+  apiKeyInput = document.getElementById('apiKey');
+  alwaysAskToggle = document.getElementById('alwaysAsk');
+  intentThresholdSelect = document.getElementById('intentThreshold');
+  factCheckToggle = document.getElementById('factCheck');
+  cacheTtlSelect = document.getElementById('cacheTtl');
+  cacheMaxEntriesSelect = document.getElementById('cacheMaxEntries');
+  clearCacheButton = document.getElementById('clearCache');
   saveButton = document.getElementById('saveSettings');
   statusMessage = document.getElementById('statusMessage');
   healthDot = document.getElementById('healthDot');
   healthText = document.getElementById('healthText');
+  compatVendor = document.getElementById('compatVendor');
+  compatList = document.getElementById('compatList');
+
+  // Ask the active tab's content script for its adapter self-test (also identifies the vendor)
+  await loadSiteCompatibility();
 
   // Load templates from API first
   await loadTemplates();
@@ -46,6 +93,9 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load saved settings
   await loadSettings();
 
+  // Show how many answers are cached
+  loadCacheStats();
+
   // Start health check
   checkHealth();
   healthCheckInterval = setInterval(checkHealth, HEALTH_CHECK_INTERVAL);
@@ -62,6 +112,23 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
   webSearchToggle.addEventListener('change', () => hideStatusMessage());
   demoModeToggle.addEventListener('change', () => hideStatusMessage());
+  panelLayoutSelect.addEventListener('change', () => hideStatusMessage());
+  selectorPackUrlInput.addEventListener('input', () => hideStatusMessage());
+  environmentSelect.addEventListener('change', () => {
+    hideStatusMessage();
+    onEnvironmentChange();
+  });
+  customApiUrlInput.addEventListener('input', () => hideStatusMessage());
+  apiKeyInput.addEventListener('input', () => hideStatusMessage());
+  alwaysAskToggle.addEventListener('change', () => {
+    hideStatusMessage();
+    onAlwaysAskChange();
+  });
+  intentThresholdSelect.addEventListener('change', () => hideStatusMessage());
+  factCheckToggle.addEventListener('change', () => hideStatusMessage());
+  cacheTtlSelect.addEventListener('change', () => hideStatusMessage());
+  cacheMaxEntriesSelect.addEventListener('change', () => hideStatusMessage());
+  clearCacheButton.addEventListener('click', clearCache);
 
   // Initialize form state
   updateFormState();
@@ -98,6 +165,41 @@ async function loadSettings() {
     // Load demo mode setting
     demoModeToggle.checked = settings.demoMode !== undefined ? settings.demoMode : DEFAULT_SETTINGS.demoMode;
 
+    // Load panel layout for the active tab's vendor
+    savedPanelLayouts = settings.panelLayouts || {};
+    if (activeVendorKey) {
+      panelLayoutLabel.textContent = `Panel Layout on ${activeVendorName}:`;
+      panelLayoutDescription.textContent = `Applies to existing and new panels on ${activeVendorName}`;
+      panelLayoutSelect.value = savedPanelLayouts[activeVendorKey] || DEFAULT_SETTINGS.panelLayout;
+    } else {
+      panelLayoutSelect.disabled = true;
+      panelLayoutSelect.style.opacity = '0.5';
+    }
+
+    // Load selector pack URL
+    selectorPackUrlInput.value = settings.selectorPackUrl || DEFAULT_SETTINGS.selectorPackUrl;
+
+    // Load API environment profile
+    environmentSelect.value = HX_ENVIRONMENTS[settings.environment] ? settings.environment : DEFAULT_SETTINGS.environment;
+    customApiUrlInput.value = settings.customApiUrl || DEFAULT_SETTINGS.customApiUrl;
+    onEnvironmentChange();
+
+    // Load intent filter
+    alwaysAskToggle.checked = settings.alwaysAsk ?? DEFAULT_SETTINGS.alwaysAsk;
+    intentThresholdSelect.value = String(settings.intentThreshold ?? DEFAULT_SETTINGS.intentThreshold);
+    onAlwaysAskChange();
+
+    // Load fact-check mode
+    factCheckToggle.checked = settings.factCheck ?? DEFAULT_SETTINGS.factCheck;
+
+    // Load response cache limits
+    cacheTtlSelect.value = String(settings.cacheTtlHours ?? DEFAULT_SETTINGS.cacheTtlHours);
+    cacheMaxEntriesSelect.value = String(settings.cacheMaxEntries ?? DEFAULT_SETTINGS.cacheMaxEntries);
+
+    // Load API key (local only)
+    const localResult = await chrome.storage.local.get([API_KEY_STORAGE_KEY]);
+    apiKeyInput.value = localResult[API_KEY_STORAGE_KEY] || '';
+
     // Update web search toggle state based on selected template
     onTemplateChange();
   } catch (error) {
@@ -109,19 +211,80 @@ async function loadSettings() {
 // Save settings to Chrome storage
 async function saveSettings() {
   try {
+    const selectorPackUrl = selectorPackUrlInput.value.trim();
+    const selectorPackOrigin = selectorPackUrl ? normalizeApiUrl(selectorPackUrl) : null;
+    if (selectorPackUrl && !selectorPackOrigin) {
+      showStatusMessage('Selector pack URL must start with http:// or https://', 'error');
+      return;
+    }
+
+    const environment = environmentSelect.value;
+    const customApiUrl = environment === 'custom' ? normalizeApiUrl(customApiUrlInput.value.trim()) : '';
+    if (environment === 'custom' && !customApiUrl) {
+      showStatusMessage('Custom API URL must start with http:// or https://', 'error');
+      return;
+    }
+
+    // The background fetches both, so it needs access to their origins. One request, before
+    // any other await, so the click still counts as a user gesture
+    const profile = HX_ENVIRONMENTS[environment];
+    const apiOrigin = environment === 'custom' ? customApiUrl : (profile?.requestAccess ? profile.baseUrl : '');
+    const origins = [...new Set([apiOrigin, selectorPackOrigin].filter(Boolean))];
+    if (origins.length > 0 && !(await requestHostPermissions(origins))) {
+      showStatusMessage(`Access to ${origins.join(' and ')} was not granted`, 'error');
+      return;
+    }
+
     saveButton.disabled = true;
     saveButton.textContent = 'Saving...';
 
+    const panelLayouts = activeVendorKey
+      ? { ...savedPanelLayouts, [activeVendorKey]: panelLayoutSelect.value }
+      : savedPanelLayouts;
+
     const settings = {
       extensionEnabled: extensionEnabledToggle.checked,
       template_id: templateSelect.value,
       enable_web_search: webSearchToggle.checked,
-      demoMode: demoModeToggle.checked
+      demoMode: demoModeToggle.checked,
+      selectorPackUrl,
+      panelLayouts,
+      environment,
+      customApiUrl,
+      alwaysAsk: alwaysAskToggle.checked,
+      intentThreshold: Number(intentThresholdSelect.value),
+      factCheck: factCheckToggle.checked,
+      cacheTtlHours: Number(cacheTtlSelect.value),
+      cacheMaxEntries: Number(cacheMaxEntriesSelect.value)
     };
 
+    const previous = await chrome.storage.sync.get(['hxSettings']);
+    const environmentChanged = resolveEnvironment(previous.hxSettings).baseUrl !== resolveEnvironment(settings).baseUrl;
+
     await chrome.storage.sync.set({ hxSettings: settings });
+    savedPanelLayouts = panelLayouts;
 
-    console.log('Settings saved:', settings);
+    const apiKey = apiKeyInput.value.trim();
+    const previousKey = (await chrome.storage.local.get([API_KEY_STORAGE_KEY]))[API_KEY_STORAGE_KEY] || '';
+    if (apiKey) {
+      await chrome.storage.local.set({ [API_KEY_STORAGE_KEY]: apiKey });
+    } else {
+      await chrome.storage.local.remove(API_KEY_STORAGE_KEY);
+    }
+    const apiKeyChanged = apiKey !== previousKey;
+
+    // Templates and health depend on which API we talk to, and with which key
+    if (environmentChanged || apiKeyChanged) {
+      await loadTemplates();
+      templateSelect.value = settings.template_id;
+      onTemplateChange();
+      checkHealth();
+    }
+
+    // New limits apply from the next answer; refresh the count in case the cache was turned off
+    loadCacheStats();
+
+    console.log('Settings saved:', settings, apiKey ? '(API key set)' : '(no API key)');
     showStatusMessage('Settings saved successfully!', 'success');
 
     // Reset button after delay
@@ -138,26 +301,68 @@ async function saveSettings() {
   }
 }
 
+// The threshold doesn't apply when every question goes to the API
+function onAlwaysAskChange() {
+  intentThresholdSelect.disabled = alwaysAskToggle.checked;
+  intentThresholdSelect.style.opacity = alwaysAskToggle.checked ? '0.5' : '1';
+}
+
+// Show the custom URL field only for the "Custom URL" profile
+function onEnvironmentChange() {
+  customApiUrlInput.classList.toggle('hidden', environmentSelect.value !== 'custom');
+}
+
+// Ask for access to the staging/custom API and selector pack origins (listed under optional_host_permissions)
+async function requestHostPermissions(origins) {
+  try {
+    return await chrome.permissions.request({ origins: origins.map(origin => `${origin}/*`) });
+  } catch (error) {
+    console.error('Error requesting host permission:', error);
+    return false;
+  }
+}
+
+// Show the number of cached answers on the clear button
+async function loadCacheStats() {
+  try {
+    const stats = await chrome.runtime.sendMessage({ type: 'hxCacheStats' });
+    const entries = stats?.entries || 0;
+    clearCacheButton.textContent = `Clear cache (${entries} ${entries === 1 ? 'answer' : 'answers'})`;
+    clearCacheButton.disabled = entries === 0;
+  } catch (error) {
+    console.error('Error loading cache stats:', error);
+  }
+}
+
+// Drop every cached answer so the next question goes to the API
+async function clearCache() {
+  try {
+    clearCacheButton.disabled = true;
+    const { cleared } = await chrome.runtime.sendMessage({ type: 'hxClearCache' });
+    showStatusMessage(`Cleared ${cleared} cached ${cleared === 1 ? 'answer' : 'answers'}`, 'success');
+  } catch (error) {
+    console.error('Error clearing cache:', error);
+    showStatusMessage('Failed to clear cache', 'error');
+  }
+  loadCacheStats();
+}
+
 // Load narrative styles (placeholder - will be replaced with API call)
 // Load templates from API
 async function loadTemplates() {
+  let authFailed = false;
+
   try {
     console.log('Fetching templates from API...');
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
-
-    const response = await fetch(`${API_BASE_URL}/api/templates`, {
-      signal: controller.signal
-    });
-
-    clearTimeout(timeoutId);
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    // The background service worker owns API calls
+    const templates = await chrome.runtime.sendMessage({ type: 'hxTemplates' });
+    if (!templates?.ok) {
+      authFailed = templates?.status === 401 || templates?.status === 403;
+      throw new Error(templates?.error || 'No response from background service worker');
     }
 
-    const data = await response.json();
+    const data = templates.data;
     console.log('Templates loaded:', data);
 
     availableTemplates = data.templates || [];
@@ -191,7 +396,9 @@ async function loadTemplates() {
 
     // Fallback to hardcoded defaults
     templateSelect.innerHTML = '<option value="">Failed to load templates</option>';
-    showStatusMessage('Failed to load templates from API', 'error');
+    showStatusMessage(authFailed
+      ? 'API key missing or rejected - enter your HundredX API key below'
+      : 'Failed to load templates from API', 'error');
 
     // Use fallback templates
     availableTemplates = [
@@ -240,24 +447,22 @@ async function checkHealth() {
     healthDot.className = 'health-dot checking';
     healthText.textContent = 'Checking API...';
 
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
+    const health = await chrome.runtime.sendMessage({ type: 'hxHealth' });
 
-    const response = await fetch(`${API_BASE_URL}/api/health`, {
-      signal: controller.signal
-    });
+    const environmentSuffix = health?.environment ? ` · ${health.environment}` : '';
 
-    clearTimeout(timeoutId);
-
-    if (response.ok) {
-      const data = await response.json();
+    if (health?.ok) {
       healthDot.className = 'health-dot healthy';
-      healthText.textContent = 'API Connected';
-      console.log('Health check passed:', data);
+      healthText.textContent = `API Connected${environmentSuffix}`;
+      console.log('Health check passed:', health.data);
+    } else if (health?.status) {
+      healthDot.className = 'health-dot unhealthy';
+      healthText.textContent = `API Error${environmentSuffix}`;
+      console.warn('Health check failed with status:', health.status);
     } else {
       healthDot.className = 'health-dot unhealthy';
-      healthText.textContent = 'API Error';
-      console.warn('Health check failed with status:', response.status);
+      healthText.textContent = `API Offline${environmentSuffix}`;
+      console.error('Health check error:', health?.error);
     }
   } catch (error) {
     healthDot.className = 'health-dot unhealthy';
@@ -266,6 +471,67 @@ async function checkHealth() {
   }
 }
 
+// Labels for adapter self-test checks, in display order
+const COMPAT_CHECK_LABELS = {
+  responses: 'Response detection',
+  input: 'Input field',
+  submitButtons: 'Submit buttons',
+  query: 'Query extraction'
+};
+
+// Run the adapter self-test in the active tab and render the results
+async function loadSiteCompatibility() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!tab?.id) {
+      throw new Error('No active tab');
+    }
+
+    const report = await chrome.tabs.sendMessage(tab.id, { type: 'hxRunDiagnostics' });
+    if (!report) {
+      throw new Error('No diagnostics returned');
+    }
+
+    console.log('Site compatibility report:', report);
+    activeVendorKey = report.vendorKey;
+    activeVendorName = report.vendor;
+    compatVendor.textContent = report.packVersion
+      ? `${report.vendor} · pack ${report.packVersion}`
+      : report.vendor;
+
+    compatList.innerHTML = '';
+    Object.entries(COMPAT_CHECK_LABELS).forEach(([key, label]) => {
+      const check = report.checks[key];
+      if (!check) return;
+
+      const item = document.createElement('li');
+      item.className = 'compat-item';
+
+      const dot = document.createElement('span');
+      dot.className = `compat-dot ${check.status}`;
+
+      const text = document.createElement('div');
+      const labelEl = document.createElement('span');
+      labelEl.className = 'compat-label';
+      labelEl.textContent = label;
+      const detailEl = document.createElement('div');
+      detailEl.className = 'compat-detail';
+      detailEl.textContent = check.detail;
+      text.appendChild(labelEl);
+      text.appendChild(detailEl);
+
+      item.appendChild(dot);
+      item.appendChild(text);
+      compatList.appendChild(item);
+    });
+  } catch (error) {
+    // sendMessage rejects when no content script is running in the tab
+    console.log('Site compatibility unavailable:', error.message);
+    compatVendor.textContent = '';
+    compatList.innerHTML = '<li class="compat-empty">Not a supported AI assistant page</li>';
+  }
+}
+
 // Show status message
 function showStatusMessage(message, type) {
   statusMessage.textContent = message;